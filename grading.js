@@ -0,0 +1,19 @@
+// Grade arithmetic for the raport in script.js. Kept free of the DOM so it can be
+// tested with `node --test tests/`; the dashboard loads it before script.js and
+// gets it as window.grading.
+(() => {
+    'use strict';
+
+    // Subjects not graded yet carry nilai: null and are left out, not counted as 0
+    const average = (mapel) => {
+        const scores = mapel.filter(m => m.nilai != null && m.nilai !== '')
+            .map(m => Number(m.nilai))
+            .filter(n => !Number.isNaN(n));
+        return scores.length ? scores.reduce((a, b) => a + b, 0) / scores.length : null;
+    };
+
+    const grading = { average };
+
+    if (typeof module === 'object' && module.exports) module.exports = grading;
+    else window.grading = grading;
+})();
@@ -0,0 +1,59 @@
+// Tabular Hijri calendar conversion used by dateUtils in script.js. Kept free of
+// the DOM so it can be tested with `node --test tests/`; browsers load it before
+// script.js and get it as window.hijriCalendar.
+(() => {
+    'use strict';
+
+    const HIJRI_MONTHS = ['Muharram', 'Safar', 'Rabiul Awal', 'Rabiul Akhir', 'Jumadil Awal', 'Jumadil Akhir', 'Rajab', "Sya'ban", 'Ramadhan', 'Syawal', "Dzulqa'dah", 'Dzulhijjah'];
+    const ISLAMIC_EPOCH = 1948440; // Julian Day Number of 1 Muharram 1 H
+    const UNIX_EPOCH_JDN = 2440588;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Date-only strings are read as local time so the day never shifts across timezones
+    const parse = (value) => {
+        if (value instanceof Date) return value;
+        if (/^\d{4}-\d{2}$/.test(value)) return new Date(`${value}-01T00:00:00`);
+        if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return new Date(`${value}T00:00:00`);
+        return new Date(value);
+    };
+
+    // The value of <body data-hijri-offset>: a whole number of days, anything else means none
+    const parseOffset = (value) => {
+        const offset = Number(value);
+        return Number.isInteger(offset) ? offset : 0;
+    };
+
+    const hijriToJdn = (year, month, day) => day + Math.ceil(29.5 * (month - 1)) + (year - 1) * 354
+        + Math.floor((3 + 11 * year) / 30) + ISLAMIC_EPOCH - 1;
+
+    const toHijri = (value, offset = 0) => {
+        const date = parse(value);
+        const jdn = Math.floor(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY_MS) + UNIX_EPOCH_JDN + offset;
+        const year = Math.floor((30 * (jdn - ISLAMIC_EPOCH) + 10646) / 10631);
+        const month = Math.min(12, Math.ceil((jdn - 29 - hijriToJdn(year, 1, 1)) / 29.5) + 1);
+        return { year, month, day: jdn - hijriToJdn(year, month, 1) + 1, monthName: HIJRI_MONTHS[month - 1] };
+    };
+
+    // Inverse of toHijri, for entering Hijri dates; returns an ISO date
+    const fromHijri = (year, month, day, offset = 0) => {
+        const jdn = hijriToJdn(year, month, day) - offset;
+        return new Date((jdn - UNIX_EPOCH_JDN) * DAY_MS).toISOString().slice(0, 10);
+    };
+
+    // "Ramadhan – Syawal 1446 H" for the Hijri months a Gregorian month (billing
+    // period, calendar page) overlaps; usually two of them, sometimes across a year
+    const monthLabel = (value, { offset = 0, translate = (text) => text } = {}) => {
+        const start = parse(value);
+        const from = toHijri(start, offset);
+        const to = toHijri(new Date(start.getFullYear(), start.getMonth() + 1, 0), offset);
+        const [fromMonth, toMonth, era] = [translate(from.monthName), translate(to.monthName), translate('H')];
+        if (from.month === to.month && from.year === to.year) return `${toMonth} ${to.year} ${era}`;
+        if (from.year === to.year) return `${fromMonth} – ${toMonth} ${to.year} ${era}`;
+        return `${fromMonth} ${from.year} – ${toMonth} ${to.year} ${era}`;
+    };
+
+    const hijriCalendar = { parse, parseOffset, toHijri, fromHijri, monthLabel, months: HIJRI_MONTHS };
+
+    if (typeof module === 'object' && module.exports) module.exports = hijriCalendar;
+    else window.hijriCalendar = hijriCalendar;
+})();
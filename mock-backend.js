@@ -0,0 +1,530 @@
+// Local mock of the PPMHA portal API. Loaded before script.js and only used
+// when no <meta name="api-base-url"> is configured, so the site can be
+// developed and tested without the real server.
+(() => {
+    'use strict';
+
+    const STORAGE_KEY = 'ppmhaMockDb';
+    const DB_VERSION = 8; // bump when the seed shape changes to reset stale local data
+    const FIXTURE_BASE = 'data/';
+    const TOKEN_TTL = 60 * 60 * 1000; // 1 hour
+    const LATENCY = 500;
+    const MAX_PROOF_SIZE = 2 * 1024 * 1024; // 2 MB
+    const CODE_TTL = 15 * 60 * 1000; // verification and reset codes
+    const INQUIRY_LIMIT = { count: 3, window: 60 * 60 * 1000 }; // contact form messages per phone number
+    // Checked top-down against scores at or above the subject's KKM; the belowKkm band takes the rest
+    const DEFAULT_GRADING_SCALE = [
+        { min: 86, predikat: 'A', keterangan: 'Sangat Baik' },
+        { min: 78, predikat: 'B', keterangan: 'Baik' },
+        { min: 0, predikat: 'C', keterangan: 'Cukup' },
+        { belowKkm: true, predikat: 'D', keterangan: 'Perlu Bimbingan' }
+    ];
+
+    // --- DATABASE (persisted in localStorage) ---
+    const seed = () => ({
+        version: DB_VERSION,
+        users: [
+            { id: 'u-1', name: 'Bapak Ahmad Fauzi', email: 'wali@ppmha.sch.id', password: 'password123', role: 'wali', verified: true, santri: ['123456789', '123456790'] },
+            { id: 'u-2', name: 'Ustadz Abdullah Hakim', email: 'ustadz@ppmha.sch.id', password: 'password123', role: 'ustadz', verified: true, santri: [], kelas: ['3 Wustho A'] },
+            { id: 'u-3', name: 'Admin Pesantren', email: 'admin@ppmha.sch.id', password: 'password123', role: 'admin', verified: true, santri: [] },
+            { id: 'u-4', name: 'Tim Jurnalistik Santri', email: 'redaksi@ppmha.sch.id', password: 'password123', role: 'editor', verified: true, santri: [] }
+        ],
+        sessions: {},
+        paymentProofs: {}, // "nis:invoiceId" -> uploaded transfer proof awaiting verification
+        codes: {}, // "purpose:email" -> { code, expiresAt } for email verification and password reset
+        submissions: [], // articles sent from editor.html for review
+        grades: {}, // "nis|mapel" -> score saved by an ustadz (null clears it), overriding the fixture
+        gradingScale: null, // null uses DEFAULT_GRADING_SCALE
+        inquiries: [] // messages from the #kontak form on index.html
+    });
+
+    const db = (() => {
+        let data;
+
+        const load = () => {
+            if (data) return data;
+            try {
+                data = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            } catch (err) {
+                data = null;
+            }
+            if (!data || data.version !== DB_VERSION) data = seed();
+            return data;
+        };
+
+        const save = () => localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+
+        return { load, save };
+    })();
+
+    // --- HELPERS ---
+    const ok = (data, status = 200) => ({ status, data });
+    const fail = (status, message) => ({ status, data: { message } });
+
+    const publicUser = ({ id, name, email, role }) => ({ id, name, email, role });
+
+    const fixtureCache = {};
+    const loadFixture = (name) => {
+        if (!fixtureCache[name]) {
+            fixtureCache[name] = fetch(`${FIXTURE_BASE}${name}.json`)
+                .then(res => {
+                    if (!res.ok) throw new Error(`Fixture ${name} tidak ditemukan.`);
+                    return res.json();
+                })
+                .catch(err => {
+                    delete fixtureCache[name]; // allow a retry after a failed load
+                    throw err;
+                });
+        }
+        return fixtureCache[name];
+    };
+
+    const findUser = (email = '') => db.load().users.find(u => u.email.toLowerCase() === email.trim().toLowerCase());
+
+    // There is no mail server locally, so the code is returned as devCode for the UI to show
+    const issueCode = (purpose, email) => {
+        const code = String(crypto.getRandomValues(new Uint32Array(1))[0] % 1000000).padStart(6, '0');
+        db.load().codes[`${purpose}:${email.toLowerCase()}`] = { code, expiresAt: Date.now() + CODE_TTL };
+        db.save();
+        return code;
+    };
+
+    const consumeCode = (purpose, email, code) => {
+        const key = `${purpose}:${email.trim().toLowerCase()}`;
+        const entry = db.load().codes[key];
+        if (!entry || entry.expiresAt <= Date.now() || entry.code !== String(code).trim()) return false;
+        delete db.load().codes[key];
+        db.save();
+        return true;
+    };
+
+    const matchSantri = async (nis = '', tanggalLahir = '') => {
+        const record = (await loadFixture('santri'))[nis.trim()];
+        return record && record.profil.tanggalLahir === tanggalLahir ? record.profil : null;
+    };
+
+    const createToken = () => Array.from(crypto.getRandomValues(new Uint8Array(24)), b => b.toString(16).padStart(2, '0')).join('');
+
+    const authenticate = (headers) => {
+        const token = (headers.Authorization || '').replace(/^Bearer\s+/, '');
+        const session = db.load().sessions[token];
+        if (!session || session.expiresAt <= Date.now()) return null;
+        return db.load().users.find(u => u.id === session.userId) || null;
+    };
+
+    // Which santri a user may read: a wali their own children, an ustadz the classes they teach, an admin everyone
+    const canReadSantri = (user, profil) => {
+        if (user.role === 'admin') return true;
+        if (user.role === 'ustadz') return user.kelas.includes(profil.kelas);
+        return user.santri.includes(profil.nis);
+    };
+
+    // Resolves the user and checks their role and access to the NIS; returns either { user } or { error }
+    const authorizeSantri = async (headers, nis, roles = ['wali', 'ustadz', 'admin']) => {
+        const user = authenticate(headers);
+        if (!user) return { error: fail(401, 'Sesi tidak valid.') };
+        const record = (await loadFixture('santri'))[nis];
+        if (!roles.includes(user.role) || (record && !canReadSantri(user, record.profil))) {
+            return { error: fail(403, 'Anda tidak memiliki akses ke data santri ini.') };
+        }
+        return { user };
+    };
+
+    const canTeach = (user, kelas) => user.role === 'admin' || (user.role === 'ustadz' && user.kelas.includes(kelas));
+
+    // Fixture grades overlaid with the scores ustadz saved in this browser
+    const loadNilai = ({ profil, nilai }) => {
+        const grades = db.load().grades;
+        return {
+            ...nilai,
+            mapel: nilai.mapel.map(m => {
+                const key = `${profil.nis}|${m.nama}`;
+                return key in grades ? { ...m, nilai: grades[key] } : m;
+            })
+        };
+    };
+
+    const classMembers = async (kelas) => Object.values(await loadFixture('santri')).filter(r => r.profil.kelas === kelas);
+
+    const gradeSheet = (kelas, mapelName, members) => {
+        const rows = members
+            .map(record => ({ profil: record.profil, nilai: loadNilai(record) }))
+            .filter(({ nilai }) => nilai.mapel.some(m => m.nama === mapelName));
+        if (!rows.length) return null;
+        const { semester, tahunAjaran, mapel } = rows[0].nilai;
+        return {
+            kelas,
+            mapel: mapelName,
+            kkm: mapel.find(m => m.nama === mapelName).kkm,
+            semester,
+            tahunAjaran,
+            santri: rows
+                .map(({ profil, nilai }) => ({ nis: profil.nis, nama: profil.nama, nilai: nilai.mapel.find(m => m.nama === mapelName).nilai ?? null }))
+                .sort((a, b) => a.nama.localeCompare(b.nama))
+        };
+    };
+
+    // Fixture invoices merged with proofs uploaded in this browser
+    const loadInvoices = async (nis) => {
+        const record = (await loadFixture('santri'))[nis];
+        const proofs = db.load().paymentProofs;
+        return (record?.administrasi?.tagihan || []).map(invoice => {
+            const proof = proofs[`${nis}:${invoice.id}`];
+            return {
+                ...invoice,
+                total: invoice.rincian.reduce((sum, item) => sum + item.jumlah, 0),
+                status: proof && invoice.status === 'belum' ? 'menunggu' : invoice.status,
+                bukti: proof || null
+            };
+        });
+    };
+
+    // --- ROUTE HANDLERS ---
+    const login = ({ body }) => {
+        const { email = '', password = '' } = body || {};
+        const user = findUser(email);
+        if (!user || user.password !== password) return fail(401, 'Email atau password salah.');
+        if (!user.verified) return fail(403, 'Email belum diverifikasi. Masukkan kode verifikasi yang dikirim ke email Anda.');
+
+        const token = createToken();
+        const expiresAt = Date.now() + TOKEN_TTL;
+        db.load().sessions[token] = { userId: user.id, expiresAt };
+        db.save();
+        return ok({ token, expiresAt: new Date(expiresAt).toISOString(), user: publicUser(user) });
+    };
+
+    const checkSantri = async ({ body }) => {
+        const { nis = '', tanggalLahir = '' } = body || {};
+        const profil = await matchSantri(nis, tanggalLahir);
+        return profil ? ok({ nis: profil.nis, nama: profil.nama }) : fail(404, 'NIS dan tanggal lahir santri tidak cocok dengan data pesantren.');
+    };
+
+    const emailAvailable = ({ query }) => ok({ available: !findUser(query.email) });
+
+    const register = async ({ body }) => {
+        const { name = '', email = '', password = '', nis = '', tanggalLahir = '' } = body || {};
+        if (!name.trim() || !email.trim() || password.length < 8) return fail(422, 'Data pendaftaran belum lengkap.');
+        if (!(await matchSantri(nis, tanggalLahir))) return fail(422, 'NIS dan tanggal lahir santri tidak cocok dengan data pesantren.');
+        if (findUser(email)) return fail(409, 'Email sudah terdaftar. Silakan masuk.');
+
+        const users = db.load().users;
+        const user = { id: `u-${users.length + 1}`, name: name.trim(), email: email.trim(), password, role: 'wali', verified: false, santri: [nis.trim()] };
+        users.push(user);
+        db.save();
+        return ok({ user: publicUser(user), devCode: issueCode('verify', user.email) }, 201);
+    };
+
+    const verifyEmail = ({ body }) => {
+        const { email = '', code = '' } = body || {};
+        const user = findUser(email);
+        if (!user || !consumeCode('verify', email, code)) return fail(422, 'Kode verifikasi salah atau sudah kedaluwarsa.');
+        user.verified = true;
+        db.save();
+        return ok({ user: publicUser(user) });
+    };
+
+    const resendVerification = ({ body }) => {
+        const user = findUser(body?.email);
+        if (!user || user.verified) return fail(422, 'Tidak ada pendaftaran yang menunggu verifikasi untuk email ini.');
+        return ok({ devCode: issueCode('verify', user.email) });
+    };
+
+    // Always succeeds so the response does not reveal which emails are registered
+    const forgotPassword = ({ body }) => {
+        const user = findUser(body?.email);
+        return ok(user ? { devCode: issueCode('reset', user.email) } : {});
+    };
+
+    const resetPassword = ({ body }) => {
+        const { email = '', code = '', password = '' } = body || {};
+        if (password.length < 8) return fail(422, 'Password minimal 8 karakter.');
+        const user = findUser(email);
+        if (!user || !consumeCode('reset', email, code)) return fail(422, 'Kode reset salah atau sudah kedaluwarsa.');
+
+        user.password = password;
+        user.verified = true; // receiving the code proves ownership of the email
+        const sessions = db.load().sessions;
+        Object.keys(sessions).forEach(token => {
+            if (sessions[token].userId === user.id) delete sessions[token];
+        });
+        db.save();
+        return ok({});
+    };
+
+    const logout = ({ headers }) => {
+        const token = (headers.Authorization || '').replace(/^Bearer\s+/, '');
+        delete db.load().sessions[token];
+        db.save();
+        return ok({});
+    };
+
+    const me = ({ headers }) => {
+        const user = authenticate(headers);
+        return user ? ok({ user: publicUser(user) }) : fail(401, 'Sesi tidak valid.');
+    };
+
+    const santriList = async ({ headers }) => {
+        const user = authenticate(headers);
+        if (!user) return fail(401, 'Sesi tidak valid.');
+        const fixture = await loadFixture('santri');
+        return ok(Object.values(fixture)
+            .filter(record => canReadSantri(user, record.profil))
+            .map(({ profil: { nis, nama, kelas, foto } }) => ({ nis, nama, kelas, foto })));
+    };
+
+    const userList = ({ headers }) => {
+        const user = authenticate(headers);
+        if (!user) return fail(401, 'Sesi tidak valid.');
+        if (user.role !== 'admin') return fail(403, 'Hanya admin yang dapat melihat daftar pengguna.');
+        return ok(db.load().users.map(u => ({ ...publicUser(u), verified: u.verified, santri: u.santri.length, kelas: u.kelas || [] })));
+    };
+
+    // Announcements without "untuk" are for every role
+    const announcementList = async ({ headers }) => {
+        const user = authenticate(headers);
+        if (!user) return fail(401, 'Sesi tidak valid.');
+        const list = await loadFixture('pengumuman');
+        return ok(list
+            .filter(a => !a.untuk || a.untuk.includes(user.role))
+            .sort((a, b) => b.tanggal.localeCompare(a.tanggal)));
+    };
+
+    const santriSection = async ({ params, headers }) => {
+        const { error } = await authorizeSantri(headers, params.nis);
+        if (error) return error;
+        const record = (await loadFixture('santri'))[params.nis];
+        if (!record || !(params.section in record)) return fail(404, 'Data tidak ditemukan.');
+        return ok(params.section === 'nilai' ? loadNilai(record) : record[params.section]);
+    };
+
+    const invoiceList = async ({ params, headers }) => {
+        const { error } = await authorizeSantri(headers, params.nis, ['wali', 'admin']);
+        return error || ok(await loadInvoices(params.nis));
+    };
+
+    const uploadProof = async ({ params, headers, body }) => {
+        const { error } = await authorizeSantri(headers, params.nis, ['wali']);
+        if (error) return error;
+        const invoice = (await loadInvoices(params.nis)).find(i => i.id === params.id);
+        if (!invoice) return fail(404, 'Tagihan tidak ditemukan.');
+        if (invoice.status !== 'belum') return fail(409, 'Tagihan ini tidak sedang menunggu pembayaran.');
+
+        const file = body instanceof FormData ? body.get('bukti') : null;
+        if (!file || typeof file === 'string') return fail(422, 'Foto bukti transfer wajib diunggah.');
+        if (!/^image\//.test(file.type)) return fail(422, 'Bukti transfer harus berupa gambar (JPG atau PNG).');
+        if (file.size > MAX_PROOF_SIZE) return fail(422, 'Ukuran foto maksimal 2 MB.');
+
+        db.load().paymentProofs[`${params.nis}:${params.id}`] = {
+            namaFile: file.name,
+            ukuran: file.size,
+            diunggahPada: new Date().toISOString()
+        };
+        db.save();
+        return ok((await loadInvoices(params.nis)).find(i => i.id === params.id), 201);
+    };
+
+    // --- CONTACT FORM (index.html #kontak) ---
+    const INQUIRY_TOPICS = ['pendaftaran', 'kunjungan', 'administrasi'];
+
+    const submitInquiry = ({ body = {} }) => {
+        // Bots that fill the hidden field get a normal reply so they have nothing to adapt to
+        if (String(body.website || '').trim()) return ok({ received: true });
+
+        const name = String(body.name || '').trim();
+        const phone = String(body.phone || '').replace(/[\s-]/g, '').replace(/^(\+?62)/, '0');
+        const message = String(body.message || '').trim();
+        if (!name || !message) return fail(422, 'Nama dan pesan wajib diisi.');
+        if (!/^08\d{7,11}$/.test(phone)) return fail(422, 'Nomor WhatsApp tidak valid.');
+        if (!INQUIRY_TOPICS.includes(body.topic)) return fail(422, 'Pilih topik pertanyaan.');
+        if (message.length > 1000) return fail(422, 'Pesan maksimal 1000 karakter.');
+
+        const data = db.load();
+        const since = Date.now() - INQUIRY_LIMIT.window;
+        if (data.inquiries.filter(i => i.phone === phone && i.createdAt > since).length >= INQUIRY_LIMIT.count) {
+            return fail(429, 'Terlalu banyak pesan dari nomor ini. Silakan coba lagi nanti atau hubungi kami lewat WhatsApp.');
+        }
+        const inquiry = { id: `k-${data.inquiries.length + 1}`, name, phone, topic: body.topic, message, createdAt: Date.now() };
+        data.inquiries.push(inquiry);
+        db.save();
+        return ok({ received: true, id: inquiry.id }, 201);
+    };
+
+    // --- GRADES (ustadz grade entry) ---
+    const requireTeacher = (headers) => {
+        const user = authenticate(headers);
+        if (!user) return { error: fail(401, 'Sesi tidak valid.') };
+        if (!['ustadz', 'admin'].includes(user.role)) return { error: fail(403, 'Hanya ustadz dan admin yang dapat mengelola nilai.') };
+        return { user };
+    };
+
+    const classList = async ({ headers }) => {
+        const { user, error } = requireTeacher(headers);
+        if (error) return error;
+        const records = Object.values(await loadFixture('santri'));
+        const names = [...new Set(records.map(r => r.profil.kelas))].filter(kelas => canTeach(user, kelas)).sort();
+        return ok(names.map(kelas => {
+            const members = records.filter(r => r.profil.kelas === kelas);
+            const mapel = [];
+            members.forEach(r => r.nilai.mapel.forEach(({ nama, kkm }) => {
+                if (!mapel.some(m => m.nama === nama)) mapel.push({ nama, kkm });
+            }));
+            return { kelas, jumlahSantri: members.length, mapel };
+        }));
+    };
+
+    const authorizeSheet = async (headers, kelas, mapel) => {
+        const { user, error } = requireTeacher(headers);
+        if (error) return { error };
+        if (!canTeach(user, kelas)) return { error: fail(403, 'Anda tidak mengampu kelas ini.') };
+        const sheet = gradeSheet(kelas, mapel, await classMembers(kelas));
+        return sheet ? { sheet } : { error: fail(404, 'Mata pelajaran tidak ditemukan di kelas ini.') };
+    };
+
+    const classGrades = async ({ params, headers }) => {
+        const { sheet, error } = await authorizeSheet(headers, params.kelas, params.mapel);
+        return error || ok(sheet);
+    };
+
+    const saveClassGrades = async ({ params, headers, body }) => {
+        const { sheet, error } = await authorizeSheet(headers, params.kelas, params.mapel);
+        if (error) return error;
+        const entries = Array.isArray(body?.nilai) ? body.nilai : [];
+        const invalid = entries.find(({ nis, nilai }) => !sheet.santri.some(s => s.nis === nis)
+            || (nilai !== null && !(Number.isInteger(nilai) && nilai >= 0 && nilai <= 100)));
+        if (invalid) return fail(422, `Nilai untuk NIS ${invalid.nis} tidak valid (0–100).`);
+
+        const grades = db.load().grades;
+        entries.forEach(({ nis, nilai }) => { grades[`${nis}|${params.mapel}`] = nilai; });
+        db.save();
+        return ok(gradeSheet(params.kelas, params.mapel, await classMembers(params.kelas)));
+    };
+
+    const gradingScale = ({ headers }) => (authenticate(headers)
+        ? ok(db.load().gradingScale || DEFAULT_GRADING_SCALE)
+        : fail(401, 'Sesi tidak valid.'));
+
+    const saveGradingScale = ({ headers, body }) => {
+        const user = authenticate(headers);
+        if (!user) return fail(401, 'Sesi tidak valid.');
+        if (user.role !== 'admin') return fail(403, 'Hanya admin yang dapat mengubah skala predikat.');
+        const scale = Array.isArray(body?.skala) ? body.skala : [];
+        const bands = scale.filter(b => !b.belowKkm);
+        const valid = bands.length && scale[scale.length - 1]?.belowKkm
+            && scale.every(b => String(b.predikat || '').trim() && String(b.keterangan || '').trim())
+            && bands.every((b, i) => Number.isInteger(b.min) && b.min >= 0 && b.min <= 100 && (i === 0 || b.min < bands[i - 1].min))
+            && bands[bands.length - 1].min === 0;
+        if (!valid) return fail(422, 'Skala tidak valid: batas bawah harus menurun dan predikat terakhir di atas KKM dimulai dari 0.');
+        db.load().gradingScale = scale;
+        db.save();
+        return ok(scale);
+    };
+
+    // --- ARTICLE SUBMISSIONS (editor.html) ---
+    const publicSubmission = ({ markdown, ...submission }) => submission;
+
+    const submissionList = ({ headers }) => {
+        const user = authenticate(headers);
+        if (!user) return fail(401, 'Sesi tidak valid.');
+        if (!['editor', 'admin'].includes(user.role)) return fail(403, 'Anda tidak memiliki akses ke naskah artikel.');
+        return ok(db.load().submissions
+            .filter(s => user.role === 'admin' || s.authorId === user.id)
+            .map(publicSubmission));
+    };
+
+    // A withdrawn submission is sent again under the same id
+    const submitArticle = ({ headers, body }) => {
+        const user = authenticate(headers);
+        if (!user) return fail(401, 'Sesi tidak valid.');
+        if (!['editor', 'admin'].includes(user.role)) return fail(403, 'Anda tidak memiliki akses untuk mengirim artikel.');
+        const { id, slug = '', title = '', markdown = '' } = body || {};
+        if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(slug) || !title.trim() || !markdown.startsWith('---\n')) {
+            return fail(422, 'Naskah artikel tidak lengkap.');
+        }
+
+        const submissions = db.load().submissions;
+        let submission = id && submissions.find(s => s.id === id && s.authorId === user.id);
+        if (id && !submission) return fail(404, 'Naskah tidak ditemukan.');
+        if (submission && submission.status === 'tinjauan') return fail(409, 'Naskah ini sedang ditinjau.');
+        if (!submission) {
+            submission = { id: `a-${submissions.length + 1}`, authorId: user.id, authorName: user.name };
+            submissions.push(submission);
+        }
+        Object.assign(submission, { slug, title: title.trim(), markdown, status: 'tinjauan', submittedAt: new Date().toISOString() });
+        db.save();
+        return ok(publicSubmission(submission), 201);
+    };
+
+    const withdrawArticle = ({ params, headers }) => {
+        const user = authenticate(headers);
+        if (!user) return fail(401, 'Sesi tidak valid.');
+        if (!['editor', 'admin'].includes(user.role)) return fail(403, 'Anda tidak memiliki akses untuk menarik artikel.');
+        const submission = db.load().submissions.find(s => s.id === params.id && s.authorId === user.id);
+        if (!submission) return fail(404, 'Naskah tidak ditemukan.');
+        if (submission.status !== 'tinjauan') return fail(409, 'Naskah ini tidak sedang ditinjau.');
+        submission.status = 'ditarik';
+        db.save();
+        return ok(publicSubmission(submission));
+    };
+
+    const routes = [
+        ['POST', '/auth/login', login],
+        ['POST', '/auth/check-santri', checkSantri],
+        ['GET', '/auth/email-available', emailAvailable],
+        ['POST', '/auth/register', register],
+        ['POST', '/auth/verify-email', verifyEmail],
+        ['POST', '/auth/resend-verification', resendVerification],
+        ['POST', '/auth/forgot-password', forgotPassword],
+        ['POST', '/auth/reset-password', resetPassword],
+        ['POST', '/auth/logout', logout],
+        ['GET', '/auth/me', me],
+        ['POST', '/kontak', submitInquiry],
+        ['GET', '/pengumuman', announcementList],
+        ['GET', '/santri', santriList],
+        ['GET', '/users', userList],
+        ['GET', '/kelas', classList],
+        ['GET', '/kelas/:kelas/nilai/:mapel', classGrades],
+        ['POST', '/kelas/:kelas/nilai/:mapel', saveClassGrades],
+        ['GET', '/nilai/skala', gradingScale],
+        ['POST', '/nilai/skala', saveGradingScale],
+        ['GET', '/articles/submissions', submissionList],
+        ['POST', '/articles/submissions', submitArticle],
+        ['POST', '/articles/submissions/:id/withdraw', withdrawArticle],
+        ['GET', '/santri/:nis/tagihan', invoiceList],
+        ['POST', '/santri/:nis/tagihan/:id/bukti', uploadProof],
+        ['GET', '/santri/:nis/:section', santriSection]
+    ];
+
+    // --- ROUTER ---
+    const matchRoute = (pattern, path) => {
+        const patternParts = pattern.split('/');
+        const pathParts = path.split('/');
+        if (patternParts.length !== pathParts.length) return null;
+
+        const params = {};
+        const matches = patternParts.every((part, i) => {
+            if (part.startsWith(':')) {
+                params[part.slice(1)] = decodeURIComponent(pathParts[i]);
+                return true;
+            }
+            return part === pathParts[i];
+        });
+        return matches ? params : null;
+    };
+
+    const handle = ({ method = 'GET', path, headers = {}, body }) => new Promise(resolve => {
+        const [pathname, search = ''] = path.split('?');
+        const query = Object.fromEntries(new URLSearchParams(search));
+        setTimeout(() => {
+            for (const [routeMethod, pattern, handler] of routes) {
+                const params = routeMethod === method ? matchRoute(pattern, pathname) : null;
+                if (params) {
+                    return Promise.resolve(handler({ params, query, headers, body }))
+                        .then(resolve, err => resolve(fail(500, err.message)));
+                }
+            }
+            resolve(fail(404, 'Endpoint tidak ditemukan.'));
+        }, LATENCY);
+    });
+
+    window.mockBackend = { handle };
+})();
@@ -5,13 +5,16 @@ document.addEventListener('DOMContentLoaded', () => {
     const config = {
         isTouchDevice: 'ontouchstart' in window || navigator.maxTouchPoints > 0,
         isMobileViewport: window.innerWidth <= 920,
-        prefersReducedMotion: window.matchMedia('(prefers-reduced-motion: reduce)').matches
+        // The inline head script sets reduce-motion from the display preferences or the OS; preferencesModule keeps this live
+        prefersReducedMotion: document.documentElement.classList.contains('reduce-motion'),
+        // Empty base URL means requests are served by the local mock backend
+        apiBaseUrl: (document.querySelector('meta[name="api-base-url"]')?.content || '').trim().replace(/\/$/, ''),
+        // Where the #kontak form posts; empty sends it through the portal API as POST /kontak
+        contactEndpoint: (document.querySelector('meta[name="contact-endpoint"]')?.content || '').trim(),
+        // Public pages opt in to client-side page transitions with <meta name="page-transitions" content="on">
+        pageTransitions: document.querySelector('meta[name="page-transitions"]')?.content === 'on'
     };
 
-    if (config.isTouchDevice || config.isMobileViewport) {
-        document.body.classList.add('no-cursor-fx');
-    }
-
     // --- UTILITY FUNCTIONS ---
     const throttle = (func, limit) => {
         let inThrottle;
@@ -25,482 +28,4272 @@ document.addEventListener('DOMContentLoaded', () => {
         };
     };
 
+    const debounce = (func, wait) => {
+        let timeout;
+        return function(...args) {
+            clearTimeout(timeout);
+            timeout = setTimeout(() => func.apply(this, args), wait);
+        };
+    };
+
+    // Collects the teardown of page-level listeners and timers, so the page
+    // transition router can undo one page's setup before the next is swapped in
+    const createCleanup = () => {
+        const tasks = [];
+        return {
+            add: (task) => { tasks.push(task); },
+            listen: (target, type, handler, options) => {
+                target.addEventListener(type, handler, options);
+                tasks.push(() => target.removeEventListener(type, handler, options));
+            },
+            run: () => { tasks.splice(0).reverse().forEach(task => task()); }
+        };
+    };
+
     const select = (selector) => document.querySelector(selector);
     const selectAll = (selector) => document.querySelectorAll(selector);
 
-    // --- MODULE: SMOOTH SCROLL (LENIS) ---
-    const scrollModule = (() => {
-        let lenis;
+    const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, ch => (
+        { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]
+    ));
 
-        const init = () => {
-            if (typeof Lenis === 'undefined' || config.prefersReducedMotion) return;
-            
-            lenis = new Lenis({ lerp: 0.08, smoothWheel: true });
-            const raf = (time) => { lenis.raf(time); requestAnimationFrame(raf); };
-            requestAnimationFrame(raf);
-            
-            setupAnchorScrolling();
-            handleInitialHash();
-        };
+    const formatRupiah = (amount) => new Intl.NumberFormat('id-ID', {
+        style: 'currency', currency: 'IDR', minimumFractionDigits: 0
+    }).format(amount);
 
-        const setupAnchorScrolling = () => {
-            selectAll('a[href^="#"], a[href^="index.html#"]').forEach(anchor => {
-                anchor.addEventListener('click', function(e) {
-                    const href = this.getAttribute('href');
-                    const targetId = href.substring(href.indexOf('#'));
-                    const targetEl = document.querySelector(targetId);
+    const downloadFile = (blob, fileName) => {
+        const url = URL.createObjectURL(blob);
+        const link = Object.assign(document.createElement('a'), { href: url, download: fileName });
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    };
 
-                    if (targetEl) {
-                        e.preventDefault();
-                        lenis.scrollTo(targetEl, { offset: -80 });
-                    }
-                });
-            });
-        };
-        
-        const handleInitialHash = () => {
-            if (window.location.hash) {
-                const targetEl = select(window.location.hash);
-                if (targetEl) {
-                    setTimeout(() => lenis.scrollTo(targetEl, { offset: -80 }), 200);
-                }
-            }
+    const toCsv = (rows) => rows
+        .map(row => row.map(value => {
+            const text = String(value ?? '');
+            return /[",;\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(','))
+        .join('\r\n');
+
+    // Accepts both comma and semicolon files (Excel with Indonesian regional settings saves the latter)
+    const parseCsv = (text) => {
+        const source = text.replace(/^\uFEFF/, '');
+        const firstLine = source.split(/\r?\n/, 1)[0];
+        const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+        const rows = [];
+        let row = [], cell = '', quoted = false;
+        for (let i = 0; i < source.length; i++) {
+            const ch = source[i];
+            if (quoted) {
+                if (ch === '"' && source[i + 1] === '"') { cell += '"'; i++; }
+                else if (ch === '"') quoted = false;
+                else cell += ch;
+            } else if (ch === '"') quoted = true;
+            else if (ch === delimiter) { row.push(cell); cell = ''; }
+            else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && source[i + 1] === '\n') i++;
+                row.push(cell); rows.push(row); row = []; cell = '';
+            } else cell += ch;
+        }
+        if (cell || row.length) { row.push(cell); rows.push(row); }
+        return rows.filter(r => r.some(c => c.trim()));
+    };
+
+    // --- VIEWPORT TRACKING ---
+    // Touch and viewport checks follow resizes and rotations (a tablet keyboard,
+    // a window dragged narrower) instead of being fixed at load time
+    const updateViewportConfig = () => {
+        config.isTouchDevice = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+        config.isMobileViewport = window.innerWidth <= 920;
+        document.body.classList.toggle('no-cursor-fx', config.isTouchDevice || config.isMobileViewport);
+    };
+    updateViewportConfig();
+    window.addEventListener('resize', debounce(updateViewportConfig, 150));
+
+    // --- MODULE: I18N (ID / EN / AR) ---
+    // Indonesian is the source language and its text doubles as the lookup key,
+    // so anything missing from a catalog simply stays Indonesian. The other
+    // languages live in lang/<code>.json. Markup opts in with data-i18n (text),
+    // data-i18n-html (markup taken from the catalog) and
+    // data-i18n-attr="aria-label placeholder". A language is applied once per
+    // page load; switching stores the choice and reloads the page.
+    const i18n = (() => {
+        const LANGUAGES = {
+            id: { name: 'Bahasa Indonesia', locale: 'id-ID', dir: 'ltr' },
+            en: { name: 'English', locale: 'en-GB', dir: 'ltr' },
+            ar: { name: 'العربية', locale: 'ar', dir: 'rtl' }
         };
-        
-        return { init };
-    })();
-    
-    // --- MODULE: UI EFFECTS (CURSOR, TILT, MAGNETIC, REVEAL, etc.) ---
-    const uiEffectsModule = (() => {
-        const init = () => {
-            if (config.prefersReducedMotion) return;
-            if (!config.isTouchDevice && !config.isMobileViewport) {
-                setupCursorFollower();
-                setupMagneticElements();
-                setupTilting();
+        const SOURCE_LANGUAGE = 'id';
+        const STORAGE_KEY = 'siteLanguage';
+        let catalog = {};
+        let active = SOURCE_LANGUAGE;
+
+        const normalize = (text) => text.replace(/\s+/g, ' ').trim();
+
+        // t('Halo {name}', { name }) -> the translated template with its placeholders filled in
+        const t = (text, params = {}) => String(catalog[text] ?? text)
+            .replace(/\{(\w+)\}/g, (match, key) => (key in params ? params[key] : match));
+
+        const storedLanguage = () => {
+            try {
+                return localStorage.getItem(STORAGE_KEY);
+            } catch (err) {
+                return null;
             }
-            setupRevealAnimations();
-            setupCounters();
-            setupCardSpotlight();
-            addRippleEffect(selectAll('.ripple'));
         };
 
-        const setupCursorFollower = () => {
-            const follower = select('.cursor-follower');
-            if (!follower) return;
-            const interactiveElements = selectAll('a, button, [data-tilt], .nav-btn, .menu-btn, .magnetic');
-            let posX = 0, posY = 0;
-
-            const moveFollower = throttle(e => {
-                posX = e.clientX;
-                posY = e.clientY;
-                follower.style.transform = `translate(${posX}px, ${posY}px)`;
-            }, 16);
-            
-            window.addEventListener('mousemove', moveFollower);
-            interactiveElements.forEach(el => {
-                el.addEventListener('mouseenter', () => follower.classList.add('grow'));
-                el.addEventListener('mouseleave', () => follower.classList.remove('grow'));
-            });
+        const requestedLanguage = () => {
+            const stored = storedLanguage();
+            return Object.hasOwn(LANGUAGES, stored) ? stored : SOURCE_LANGUAGE;
         };
 
-        const setupMagneticElements = () => {
-            selectAll('.magnetic').forEach(el => {
-                el.addEventListener('mousemove', function(e) {
-                    const rect = this.getBoundingClientRect();
-                    const x = (e.clientX - rect.left - rect.width / 2) * 0.3;
-                    const y = (e.clientY - rect.top - rect.height / 2) * 0.3;
-                    this.style.transform = `translate(${x}px, ${y}px)`;
-                    this.style.transition = 'transform 0.1s ease-out';
-                });
-                el.addEventListener('mouseleave', function() {
-                    this.style.transform = 'translate(0, 0)';
-                    this.style.transition = 'transform 0.6s var(--ease-out-expo)';
+        const translatePage = (root = document) => {
+            root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(normalize(el.textContent)); });
+            root.querySelectorAll('[data-i18n-html]').forEach(el => { el.innerHTML = t(normalize(el.innerHTML)); });
+            root.querySelectorAll('[data-i18n-attr]').forEach(el => {
+                el.dataset.i18nAttr.split(/\s+/).filter(attr => el.hasAttribute(attr)).forEach(attr => {
+                    el.setAttribute(attr, t(normalize(el.getAttribute(attr))));
                 });
             });
         };
 
-        const setupTilting = () => {
-            selectAll('[data-tilt]').forEach(el => {
-                const maxTilt = el.classList.contains('soft-tilt') ? 6 : 15;
-                el.addEventListener('mousemove', e => {
-                    const rect = el.getBoundingClientRect();
-                    const rX = (e.clientY - rect.top - rect.height / 2) / (rect.height / 2) * -maxTilt;
-                    const rY = (e.clientX - rect.left - rect.width / 2) / (rect.width / 2) * maxTilt;
-                    el.style.transform = `perspective(1000px) rotateX(${rX}deg) rotateY(${rY}deg) scale(1.02)`;
-                    el.style.transition = 'transform 0.1s ease-out';
-                });
-                el.addEventListener('mouseleave', () => {
-                    el.style.transform = 'perspective(1000px) rotateX(0deg) rotateY(0deg) scale(1)';
-                    el.style.transition = 'transform 0.6s var(--ease-out-expo)';
-                });
-            });
+        const applyDocumentLanguage = (code) => {
+            active = code;
+            document.documentElement.lang = code;
+            document.documentElement.dir = LANGUAGES[code].dir;
         };
-        
-        const setupRevealAnimations = () => {
-            const observer = new IntersectionObserver((entries, obs) => {
-                entries.forEach(entry => {
-                    if (entry.isIntersecting) {
-                        const parent = entry.target.parentElement;
-                        const delay = parent && getComputedStyle(parent).display === 'grid' 
-                            ? Array.from(parent.children).indexOf(entry.target) * 100 : 0;
-                        entry.target.style.transitionDelay = `${delay}ms`;
-                        entry.target.classList.add('in');
-                        obs.unobserve(entry.target);
-                    }
-                });
-            }, { threshold: 0.1, rootMargin: '0px 0px -50px 0px' });
-            selectAll('.reveal, .reveal-s').forEach(el => observer.observe(el));
+
+        const setupSwitchers = () => {
+            selectAll('[data-language-switcher]').forEach(switcher => {
+                switcher.innerHTML = Object.entries(LANGUAGES)
+                    .map(([code, { name }]) => `<option value="${code}" lang="${code}"${code === active ? ' selected' : ''}>${escapeHtml(name)}</option>`)
+                    .join('');
+                switcher.addEventListener('change', () => setLanguage(switcher.value));
+            });
         };
-        
-        const setupCounters = () => {
-            const observer = new IntersectionObserver((entries, obs) => {
-                entries.forEach(entry => {
-                    if (entry.isIntersecting) {
-                        const el = entry.target;
-                        const target = +el.dataset.count;
-                        let current = 0; const increment = target / 100;
-                        const updateCount = () => {
-                            current += increment;
-                            if (current < target) {
-                                el.innerText = Math.ceil(current); requestAnimationFrame(updateCount);
-                            } else {
-                                el.innerText = target;
-                            }
-                        };
-                        updateCount();
-                        obs.unobserve(el);
-                    }
-                });
-            }, { threshold: 0.8 });
-            selectAll('.num[data-count]').forEach(counter => observer.observe(counter));
+
+        const setLanguage = (code) => {
+            if (!Object.hasOwn(LANGUAGES, code) || code === active) return;
+            try {
+                localStorage.setItem(STORAGE_KEY, code);
+            } catch (err) {
+                return; // without storage the choice could not survive the reload
+            }
+            window.location.reload();
         };
-        
-        const setupCardSpotlight = () => {
-            selectAll('.card').forEach(card => {
-                const spotlight = card.querySelector('.card-spotlight');
-                if (!spotlight) return;
-                card.addEventListener('mousemove', e => {
-                    const rect = card.getBoundingClientRect();
-                    const x = e.clientX - rect.left;
-                    const y = e.clientY - rect.top;
-                    spotlight.style.left = x + 'px';
-                    spotlight.style.top = y + 'px';
-                });
-            });
+
+        const init = async () => {
+            const code = requestedLanguage();
+            if (code !== SOURCE_LANGUAGE) {
+                try {
+                    const res = await fetch(`lang/${code}.json`);
+                    if (!res.ok) throw new Error(`Katalog ${code} tidak ditemukan.`);
+                    catalog = await res.json();
+                    applyDocumentLanguage(code);
+                    translatePage();
+                } catch (err) {
+                    // Without its catalog the page stays Indonesian, left-to-right
+                    applyDocumentLanguage(SOURCE_LANGUAGE);
+                }
+            } else {
+                applyDocumentLanguage(SOURCE_LANGUAGE);
+            }
+            document.documentElement.classList.remove('i18n-pending');
+            setupSwitchers();
         };
 
-        const addRippleEffect = (elements) => {
-            elements.forEach(el => {
-                el.addEventListener('click', function(e) {
-                    const rect = this.getBoundingClientRect();
-                    const ripple = document.createElement('span');
-                    const size = Math.max(rect.width, rect.height);
-                    ripple.style.width = ripple.style.height = `${size}px`;
-                    ripple.style.left = `${e.clientX - rect.left - size / 2}px`;
-                    ripple.style.top = `${e.clientY - rect.top - size / 2}px`;
-                    ripple.classList.add('ripple-effect');
-                    this.appendChild(ripple);
-                    ripple.addEventListener('animationend', () => ripple.remove());
-                });
-            });
+        return {
+            init, t, translatePage, setLanguage,
+            language: () => active,
+            locale: () => LANGUAGES[active].locale,
+            isRtl: () => LANGUAGES[active].dir === 'rtl'
         };
-        
-        return { init };
     })();
 
-    // --- MODULE: NAVIGATION & HEADER ---
-    const navigationModule = (() => {
-        const header = select('.header');
-        const sections = selectAll('[data-scroll-section]');
-        const allNavLinks = selectAll('.desktop-nav a.nav-link, .mobile-nav-panel a');
-        const desktopNavLinks = selectAll('.desktop-nav a.nav-link');
+    const { t } = i18n;
 
-        const init = () => {
-            if (!header) return;
-            setupMobileNav();
-            window.addEventListener('scroll', throttle(handleScroll, 100), { passive: true });
-            handlePageLoad();
+    // --- MODULE: DISPLAY PREFERENCES (THEME, TEXT SIZE, MOTION) ---
+    // The inline head script applies the stored choice before first paint; this
+    // module keeps <html> in sync afterwards and owns the panel opened by every
+    // [data-preferences-toggle] button. Without a stored theme or motion choice the
+    // operating system setting applies. Changes are announced as preferences:change.
+    const preferencesModule = (() => {
+        const STORAGE_KEY = 'displayPreferences';
+        const THEMES = [['light', 'Terang', 'fa-sun'], ['dark', 'Gelap', 'fa-moon'], ['system', 'Ikuti Perangkat', 'fa-circle-half-stroke']];
+        const TEXT_SIZES = [['normal', 'Normal', 'fa-font'], ['large', 'Besar', 'fa-font'], ['larger', 'Sangat Besar', 'fa-font']];
+        const darkQuery = window.matchMedia('(prefers-color-scheme: dark)');
+        const motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+        let stored = {};
+        let panel = null, opener = null;
+
+        const load = () => {
+            try {
+                const value = JSON.parse(localStorage.getItem(STORAGE_KEY));
+                return value && typeof value === 'object' ? value : {};
+            } catch (err) {
+                return {};
+            }
         };
 
-        const handleScroll = () => {
-            header.classList.toggle('scrolled', window.scrollY > 50);
-            updateActiveLinkOnScroll();
+        const save = () => {
+            try {
+                if (Object.keys(stored).length) localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+                else localStorage.removeItem(STORAGE_KEY);
+            } catch (err) { /* without storage the choice still applies to this page */ }
         };
-        
-        const updateActiveLinkOnScroll = () => {
-            if (sections.length === 0) return;
-            let currentSectionId = '';
-            const triggerPoint = window.scrollY + window.innerHeight * 0.4;
-            
-            sections.forEach(section => {
-                if (triggerPoint >= section.offsetTop) {
-                    currentSectionId = section.id;
-                }
-            });
-            updateLinks(currentSectionId);
+
+        const current = () => ({
+            theme: THEMES.some(([value]) => value === stored.theme) ? stored.theme : 'system',
+            textSize: TEXT_SIZES.some(([value]) => value === stored.textSize) ? stored.textSize : 'normal',
+            reduceMotion: typeof stored.reduceMotion === 'boolean' ? stored.reduceMotion : motionQuery.matches
+        });
+
+        const apply = () => {
+            const prefs = current();
+            const root = document.documentElement;
+            root.dataset.theme = prefs.theme === 'system' ? (darkQuery.matches ? 'dark' : 'light') : prefs.theme;
+            if (prefs.textSize === 'normal') delete root.dataset.textSize;
+            else root.dataset.textSize = prefs.textSize;
+            root.classList.toggle('reduce-motion', prefs.reduceMotion);
+            config.prefersReducedMotion = prefs.reduceMotion;
+            document.dispatchEvent(new CustomEvent('preferences:change', { detail: prefs }));
         };
-        
-        const updateLinks = (activeSectionId) => {
-            allNavLinks.forEach(link => {
-                const linkSection = link.getAttribute('data-section');
-                link.classList.toggle('active', linkSection === activeSectionId);
+
+        const optionGroup = (name, legend, options) => `
+            <fieldset class="prefs-group">
+              <legend>${t(legend)}</legend>
+              <div class="prefs-options">
+                ${options.map(([value, label, icon]) => `
+                  <label class="prefs-option" data-value="${value}">
+                    <input type="radio" name="${name}" value="${value}">
+                    <span><i class="fa-solid ${icon}" aria-hidden="true"></i> ${t(label)}</span>
+                  </label>`).join('')}
+              </div>
+            </fieldset>`;
+
+        const buildPanel = () => {
+            panel = document.createElement('div');
+            panel.className = 'prefs-panel card';
+            panel.id = 'displayPreferences';
+            panel.setAttribute('role', 'dialog');
+            panel.setAttribute('aria-labelledby', 'prefsTitle');
+            panel.hidden = true;
+            panel.innerHTML = `
+                <div class="prefs-header">
+                  <h2 id="prefsTitle"><i class="fa-solid fa-sliders"></i> ${t('Pengaturan Tampilan')}</h2>
+                  <button type="button" class="prefs-close" data-preferences-close aria-label="${t('Tutup pengaturan')}"><i class="fa-solid fa-xmark"></i></button>
+                </div>
+                <form class="prefs-form" action="#">
+                  ${optionGroup('theme', 'Tema', THEMES)}
+                  ${optionGroup('textSize', 'Ukuran Teks', TEXT_SIZES)}
+                  <label class="prefs-switch">
+                    <input type="checkbox" name="reduceMotion" role="switch">
+                    <span class="prefs-switch-track" aria-hidden="true"></span>
+                    <span class="prefs-switch-text">
+                      <strong>${t('Kurangi animasi')}</strong>
+                      <small>${t('Mematikan gulir halus, efek kursor, kartu miring, tombol magnetis, efek klik dan slide otomatis.')}</small>
+                    </span>
+                  </label>
+                  <button type="reset" class="btn-link"><i class="fa-solid fa-rotate-left"></i> ${t('Kembalikan ke bawaan')}</button>
+                </form>`;
+
+            const form = panel.querySelector('form');
+            // Only the setting that was touched is stored; the others keep following the device
+            form.addEventListener('change', e => {
+                const { name } = e.target;
+                stored[name] = name === 'reduceMotion' ? e.target.checked : e.target.value;
+                save();
+                apply();
+            });
+            form.addEventListener('reset', e => {
+                e.preventDefault();
+                stored = {};
+                save();
+                apply();
+                syncForm();
             });
+            form.addEventListener('submit', e => e.preventDefault());
+            panel.querySelector('[data-preferences-close]').addEventListener('click', () => close());
+            document.body.appendChild(panel);
+            selectAll('[data-preferences-toggle]').forEach(btn => btn.setAttribute('aria-controls', panel.id));
         };
 
-        const handlePageLoad = () => {
-            const path = window.location.pathname.split('/').pop();
-            let activeSection;
+        const syncForm = () => {
+            const prefs = current();
+            const { elements } = panel.querySelector('form');
+            elements.theme.value = prefs.theme;
+            elements.textSize.value = prefs.textSize;
+            elements.reduceMotion.checked = prefs.reduceMotion;
+        };
 
-            if (path.includes('artikel')) {
-                activeSection = 'pena';
-            } else if (path.includes('dashboard')) {
-                activeSection = 'dashboard';
-            } else {
-                activeSection = 'beranda';
-            }
-            updateLinks(activeSection);
-            handleScroll();
+        const setExpanded = (expanded) => {
+            selectAll('[data-preferences-toggle]').forEach(btn => btn.setAttribute('aria-expanded', String(expanded)));
         };
 
-        const setupMobileNav = () => {
-            const menuBtn = select('#menuBtn');
-            const navPanel = select('#mobileNavPanel');
-            const navOverlay = select('#navOverlay');
-            if (!menuBtn || !navPanel || !navOverlay) return;
+        const open = (trigger) => {
+            if (!panel) buildPanel();
+            syncForm();
+            opener = trigger;
+            panel.hidden = false;
+            setExpanded(true);
+            panel.querySelector('input:checked').focus();
+        };
 
-            const toggleMenu = (forceClose = false) => {
-                const isOpen = document.body.classList.contains('body-no-scroll');
-                if (forceClose || isOpen) {
-                    menuBtn.classList.remove('active');
-                    navPanel.classList.remove('open');
-                    navOverlay.classList.remove('open');
-                    document.body.classList.remove('body-no-scroll');
-                } else {
-                    menuBtn.classList.add('active');
-                    navPanel.classList.add('open');
-                    navOverlay.classList.add('open');
-                    document.body.classList.add('body-no-scroll');
+        const close = ({ restoreFocus = true } = {}) => {
+            if (!panel || panel.hidden) return;
+            panel.hidden = true;
+            setExpanded(false);
+            if (restoreFocus) opener?.focus();
+        };
+
+        const init = () => {
+            stored = load();
+            apply();
+            // "Ikuti Perangkat" and an unset motion choice follow OS changes while the page is open
+            darkQuery.addEventListener?.('change', apply);
+            motionQuery.addEventListener?.('change', apply);
+
+            // Delegated: the header buttons exist on every page, the panel is built on first use
+            document.addEventListener('click', e => {
+                const trigger = e.target.closest('[data-preferences-toggle]');
+                if (trigger) {
+                    if (panel && !panel.hidden) close();
+                    else open(trigger);
+                } else if (panel && !panel.hidden && !e.target.closest('.prefs-panel')) {
+                    close({ restoreFocus: false });
                 }
-            };
-            menuBtn.addEventListener('click', () => toggleMenu());
-            navOverlay.addEventListener('click', () => toggleMenu(true));
-            selectAll('.mobile-nav-panel a').forEach(link => {
-                link.addEventListener('click', () => setTimeout(() => toggleMenu(true), 150));
+            });
+            document.addEventListener('keydown', e => {
+                if (e.key === 'Escape') close();
             });
         };
 
-        return { init, updateLinks };
+        return { init, current };
     })();
-    
-    // --- MODULE: AUTHENTICATION ---
-    const authModule = (() => {
-        const init = () => {
-            // Check auth status on every page load
-            checkAuthStatus();
-            
-            // Setup listeners only on pages where they exist
-            if (select('#authWrapper')) setupAuthForm();
-            if (select('#logoutBtn')) setupLogout();
-            if (select('#logoutBtnDashboard')) setupLogout();
+
+    // --- MODULE: DATE UTILS (HIJRI & GREGORIAN) ---
+    // Content and API data carry ISO dates; everything visible is formatted here.
+    // A page chooses the calendar with <body data-date-mode="hijri|gregorian|both">.
+    // Hijri dates follow the tabular calendar (hijri-calendar.js), which can be a day
+    // off from the Kemenag (rukyat) calendar; <body data-hijri-offset="-1|1"> corrects that.
+    const dateUtils = (() => {
+        const MODES = ['hijri', 'gregorian', 'both'];
+        const { parse } = hijriCalendar;
+
+        const pageMode = () => (MODES.includes(document.body.dataset.dateMode) ? document.body.dataset.dateMode : 'gregorian');
+        const pageOffset = () => hijriCalendar.parseOffset(document.body.dataset.hijriOffset);
+
+        const toHijri = (value, offset = pageOffset()) => hijriCalendar.toHijri(value, offset);
+
+        const fromHijri = (year, month, day, offset = pageOffset()) => hijriCalendar.fromHijri(year, month, day, offset);
+
+        const weekdayName = (date) => new Intl.DateTimeFormat(i18n.locale(), { weekday: 'short' }).format(date);
+
+        const gregorian = (date, { short, weekday }) => new Intl.DateTimeFormat(i18n.locale(), {
+            weekday: weekday ? 'short' : undefined,
+            day: 'numeric',
+            month: short ? 'short' : 'long',
+            year: short ? undefined : 'numeric'
+        }).format(date);
+
+        const hijri = (date, { short, weekday }) => {
+            const { day, monthName, year } = toHijri(date);
+            return `${weekday ? `${weekdayName(date)}, ` : ''}${day} ${t(monthName)}${short ? '' : ` ${year} ${t('H')}`}`;
         };
-        
-        const setupAuthForm = () => {
-            const container = select('#authWrapper');
-            const activateSignUp = () => container.classList.add('right-panel-active');
-            const activateSignIn = () => container.classList.remove('right-panel-active');
 
-            select('#signUpBtn')?.addEventListener('click', activateSignUp);
-            select('#signInBtn')?.addEventListener('click', activateSignIn);
-            select('#mobileSwitchToSignUp')?.addEventListener('click', activateSignUp);
-            select('#mobileSwitchToSignIn')?.addEventListener('click', activateSignIn);
-            
-            select('#signInForm')?.addEventListener('submit', handleSignIn);
-            select('#signUpForm')?.addEventListener('submit', handleSignUp);
+        // `short` drops the year (table rows), `weekday` prefixes the day name
+        const format = (value, { mode = pageMode(), short = false, weekday = false } = {}) => {
+            const date = parse(value);
+            if (mode === 'hijri') return hijri(date, { short, weekday });
+            if (mode === 'both') return `${gregorian(date, { short, weekday })} / ${hijri(date, { short, weekday: false })}`;
+            return gregorian(date, { short, weekday });
         };
 
-        const handleSignIn = (e) => {
-            e.preventDefault();
-            const form = e.target;
-            if (!validateForm(form)) return;
-            
-            // --- SIMULATION: In a real app, this would be an API call ---
-            const email = form.querySelector('#signInEmail').value;
-            const messageEl = form.querySelector('.form-message');
-            messageEl.textContent = 'Mencoba masuk...';
-            
-            setTimeout(() => {
-                // Simulate a successful login
-                sessionStorage.setItem('isLoggedIn', 'true');
-                sessionStorage.setItem('waliName', 'Wali Santri'); // Dummy name
-                window.location.href = 'dashboard.html';
-            }, 1000);
+        // A Gregorian month (billing period, calendar page) usually spans two Hijri months
+        const formatMonth = (value, { mode = pageMode() } = {}) => {
+            const gregorianLabel = new Intl.DateTimeFormat(i18n.locale(), { month: 'long', year: 'numeric' }).format(parse(value));
+            if (mode === 'gregorian') return gregorianLabel;
+            const hijriLabel = hijriCalendar.monthLabel(value, { offset: pageOffset(), translate: t });
+            return mode === 'hijri' ? hijriLabel : `${gregorianLabel} / ${hijriLabel}`;
         };
 
-        const handleSignUp = (e) => {
-            e.preventDefault();
-            const form = e.target;
-            if (!validateForm(form)) return;
-            
-            const messageEl = form.querySelector('.form-message');
-            messageEl.textContent = 'Mendaftarkan akun...';
+        const formatTime = (value) => new Intl.DateTimeFormat(i18n.locale(), { hour: '2-digit', minute: '2-digit' }).format(parse(value));
 
-            setTimeout(() => {
-                alert('Pendaftaran berhasil! Anda akan diarahkan untuk masuk.');
-                select('#authWrapper').classList.remove('right-panel-active');
-                messageEl.textContent = '';
-                form.reset();
-            }, 1500);
-        };
-        
-        const validateForm = (form) => {
-            let isValid = true;
-            form.querySelectorAll('input[required]').forEach(input => {
-                const errorEl = input.parentElement.querySelector('.input-error-message');
-                let message = '';
-                if (input.value.trim() === '') {
-                    message = 'Kolom ini tidak boleh kosong.';
-                } else if (input.type === 'email' && !/^\S+@\S+\.\S+$/.test(input.value)) {
-                    message = 'Format email tidak valid.';
-                } else if (input.type === 'password' && input.hasAttribute('minlength') && input.value.length < input.getAttribute('minlength')) {
-                    message = `Password minimal ${input.getAttribute('minlength')} karakter.`;
-                }
-                
-                errorEl.textContent = message;
-                input.classList.toggle('invalid', !!message);
-                if (message) isValid = false;
-            });
-            return isValid;
+        return { parse, toHijri, fromHijri, format, formatMonth, formatTime, hijriMonths: hijriCalendar.months };
+    })();
+
+    // --- MODULE: API CLIENT ---
+    const apiClient = (() => {
+        const createError = (message, status) => Object.assign(new Error(message), { status });
+
+        const send = async ({ method, path, headers, body }) => {
+            if (!config.apiBaseUrl) {
+                if (!window.mockBackend) throw createError(t('Server belum dikonfigurasi.'), 0);
+                return window.mockBackend.handle({ method, path, headers, body });
+            }
+
+            const isJson = body !== undefined && !(body instanceof FormData);
+            const response = await fetch(`${config.apiBaseUrl}${path}`, {
+                method,
+                headers: isJson ? { ...headers, 'Content-Type': 'application/json' } : headers,
+                body: isJson ? JSON.stringify(body) : body
+            });
+            const data = await response.json().catch(() => ({}));
+            return { status: response.status, data };
         };
-        
-        const checkAuthStatus = () => {
-            if (sessionStorage.getItem('isLoggedIn') === 'true') {
-                document.body.classList.add('logged-in');
-                selectAll('.btn-login, .nav-login-link').forEach(el => el.style.display = 'none');
-                selectAll('.btn-logout, .nav-dashboard-link').forEach(el => el.style.display = 'inline-flex');
-                const waliName = sessionStorage.getItem('waliName');
-                if(select('#waliName')) select('#waliName').textContent = waliName;
-            } else {
-                document.body.classList.remove('logged-in');
-                selectAll('.btn-login, .nav-login-link').forEach(el => el.style.display = 'inline-flex');
-                selectAll('.btn-logout, .nav-dashboard-link').forEach(el => el.style.display = 'none');
+
+        const request = async (path, { method = 'GET', body, auth = true } = {}) => {
+            // Server messages come back in the visitor's language when the API supports it
+            const headers = { Accept: 'application/json', 'Accept-Language': i18n.language() };
+            const token = auth ? authClient.getToken() : null;
+            if (token) headers.Authorization = `Bearer ${token}`;
+
+            let result;
+            try {
+                result = await send({ method, path, headers, body });
+            } catch (err) {
+                if (err.status !== undefined) throw err;
+                throw createError(t('Tidak dapat terhubung ke server. Periksa koneksi Anda.'), 0);
+            }
+
+            const { status, data } = result;
+            if (status === 401 && token) authClient.expire();
+            if (status < 200 || status >= 300) {
+                throw createError(data?.message || t('Permintaan gagal (kode {status}).', { status }), status);
             }
+            return data;
         };
 
-        const setupLogout = () => {
-            selectAll('#logoutBtn, #logoutBtnDashboard').forEach(btn => {
-                btn.addEventListener('click', e => {
-                    e.preventDefault();
-                    sessionStorage.clear();
-                    window.location.href = 'index.html';
-                });
-            });
+        return {
+            get: (path, options) => request(path, { ...options, method: 'GET' }),
+            post: (path, body, options) => request(path, { ...options, method: 'POST', body })
         };
-        
-        return { init };
     })();
-    
-    // --- MODULE: PAGE-SPECIFIC LOGIC ---
-    const pageModules = (() => {
+
+    // --- MODULE: AUTH CLIENT (SESSION & TOKEN) ---
+    const authClient = (() => {
+        const STORAGE_KEY = 'authSession';
+        let expiryTimer;
+
+        const readSession = () => {
+            try {
+                return JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+            } catch (err) {
+                return null;
+            }
+        };
+
+        const getSession = () => {
+            const session = readSession();
+            return session && session.expiresAt > Date.now() ? session : null;
+        };
+
+        const getToken = () => getSession()?.token || null;
+        const getUser = () => getSession()?.user || null;
+        const isAuthenticated = () => !!getSession();
+
+        // Sessions stored before roles existed belong to wali accounts
+        const getRole = () => getUser()?.role || 'wali';
+        const hasRole = (roles) => isAuthenticated() && roles.includes(getRole());
+
+        const scheduleExpiry = () => {
+            clearTimeout(expiryTimer);
+            const session = getSession();
+            if (!session) return;
+            // setTimeout overflows above ~24.8 days; re-check periodically instead
+            const delay = Math.min(session.expiresAt - Date.now(), 2 ** 31 - 1);
+            expiryTimer = setTimeout(() => (isAuthenticated() ? scheduleExpiry() : expire()), delay);
+        };
+
+        const storeSession = ({ token, expiresAt, user }) => {
+            const expiry = typeof expiresAt === 'number' ? expiresAt : Date.parse(expiresAt);
+            if (!token || Number.isNaN(expiry)) throw new Error('Respons server tidak valid.');
+            sessionStorage.setItem(STORAGE_KEY, JSON.stringify({ token, expiresAt: expiry, user }));
+            scheduleExpiry();
+        };
+
+        const signIn = async (email, password) => {
+            const data = await apiClient.post('/auth/login', { email, password }, { auth: false });
+            storeSession(data);
+            return data.user;
+        };
+
+        // Registration is tied to a santri: NIS plus date of birth (ISO) prove the wali relationship
+        const checkSantri = (nis, tanggalLahir) => apiClient.post('/auth/check-santri', { nis, tanggalLahir }, { auth: false });
+
+        const isEmailAvailable = async (email) => {
+            const { available } = await apiClient.get(`/auth/email-available?email=${encodeURIComponent(email)}`, { auth: false });
+            return available;
+        };
+
+        const signUp = ({ name, email, password, nis, tanggalLahir }) => apiClient.post('/auth/register', { name, email, password, nis, tanggalLahir }, { auth: false });
+        const verifyEmail = (email, code) => apiClient.post('/auth/verify-email', { email, code }, { auth: false });
+        const resendVerification = (email) => apiClient.post('/auth/resend-verification', { email }, { auth: false });
+        const requestPasswordReset = (email) => apiClient.post('/auth/forgot-password', { email }, { auth: false });
+        const resetPassword = (email, code, password) => apiClient.post('/auth/reset-password', { email, code, password }, { auth: false });
+
+        // Offline snapshots belong to the session, whichever way it ends
+        const clear = () => {
+            clearTimeout(expiryTimer);
+            offlineStore.clear();
+            sessionStorage.removeItem(STORAGE_KEY);
+        };
+
+        const signOut = async () => {
+            if (isAuthenticated()) {
+                // Server-side logout is best effort; the local session is cleared regardless
+                await apiClient.post('/auth/logout').catch(() => {});
+            }
+            clear();
+        };
+
+        const expire = () => {
+            const hadSession = !!readSession();
+            clear();
+            if (hadSession) document.dispatchEvent(new CustomEvent('auth:expired'));
+        };
+
         const init = () => {
-            const pageId = document.body.className;
-            
-            if (select('#heroStack')) setupHeroFX();
-            if (select('#back-to-top')) setupBackToTop();
-            if (select('#reading-progress-bar')) setupReadingProgress();
-            if (pageId.includes('dashboard-page')) dashboardModule.init();
+            // A session that lapsed while the page was closed is dropped silently
+            if (readSession() && !isAuthenticated()) clear();
+            scheduleExpiry();
         };
 
-        const setupHeroFX = () => {
-            if (config.prefersReducedMotion) {
-                select('#heroStack')?.classList.add('visible');
-                return;
+        return {
+            init, signIn, signUp, signOut, expire, getToken, getUser, getRole, hasRole, isAuthenticated,
+            checkSantri, isEmailAvailable, verifyEmail, resendVerification, requestPasswordReset, resetPassword
+        };
+    })();
+
+    // --- MODULE: OFFLINE SNAPSHOTS ---
+    // Last successful dashboard responses per user, so the portal stays readable
+    // on a dropped connection. Cleared on sign-out and when the session expires.
+    const offlineStore = (() => {
+        const PREFIX = 'offlineSnapshot:';
+
+        const storageKey = (name) => `${PREFIX}${authClient.getUser()?.id || ''}:${name}`;
+
+        const save = (name, data) => {
+            try {
+                localStorage.setItem(storageKey(name), JSON.stringify({ data, savedAt: new Date().toISOString() }));
+            } catch (err) {
+                // Storage full or disabled; the snapshot is only a convenience
+            }
+        };
+
+        const load = (name) => {
+            try {
+                return JSON.parse(localStorage.getItem(storageKey(name)));
+            } catch (err) {
+                return null;
+            }
+        };
+
+        const clear = () => Object.keys(localStorage)
+            .filter(key => key.startsWith(PREFIX))
+            .forEach(key => localStorage.removeItem(key));
+
+        return { save, load, clear };
+    })();
+
+    // --- MODULE: MARKDOWN ---
+    // A small Markdown subset for article bodies: headings, paragraphs, lists,
+    // blockquotes, rules, images, links, **bold**, *italic* and inline code. Single
+    // line breaks inside a paragraph are kept, which poems rely on.
+    const markdown = (() => {
+        // Relative links and http(s)/mailto only; other schemes such as javascript: are dropped
+        const safeUrl = (url) => (/^(https?:|mailto:)/i.test(url) || !/^[a-z][\w+.-]*:/i.test(url) ? url : '#');
+
+        const inline = (text) => escapeHtml(text)
+            .replace(/`([^`]+)`/g, '<code>$1</code>')
+            .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (m, alt, src) => `<img src="${safeUrl(src)}" alt="${alt}" loading="lazy" decoding="async">`)
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (m, label, href) => `<a href="${safeUrl(href)}">${label}</a>`)
+            .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^*\w])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>');
+
+        const render = (source) => {
+            const blocks = String(source || '').replace(/\r\n?/g, '\n').trim().split(/\n{2,}/);
+            return blocks.map(block => {
+                const lines = block.split('\n');
+                const heading = block.match(/^(#{1,6})\s+(.+)$/);
+                if (heading && lines.length === 1) {
+                    const level = heading[1].length;
+                    return `<h${level}>${inline(heading[2].trim())}</h${level}>`;
+                }
+                if (/^(-{3,}|\*{3,})$/.test(block.trim())) return '<hr>';
+                if (lines.every(line => /^>\s?/.test(line))) {
+                    return `<blockquote>${render(lines.map(line => line.replace(/^>\s?/, '')).join('\n'))}</blockquote>`;
+                }
+                if (lines.every(line => /^[-*]\s+/.test(line))) {
+                    return `<ul>${lines.map(line => `<li>${inline(line.replace(/^[-*]\s+/, ''))}</li>`).join('')}</ul>`;
+                }
+                if (lines.every(line => /^\d+\.\s+/.test(line))) {
+                    return `<ol>${lines.map(line => `<li>${inline(line.replace(/^\d+\.\s+/, ''))}</li>`).join('')}</ol>`;
+                }
+                return `<p>${lines.map(inline).join('<br>')}</p>`;
+            }).join('\n');
+        };
+
+        // Plain text of a Markdown body, for excerpts and search
+        const toPlainText = (source) => String(source || '')
+            .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+            .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+            .replace(/^(#{1,6}|>|[-*]|\d+\.)\s+/gm, '')
+            .replace(/[*_`]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        return { render, toPlainText };
+    })();
+
+    // --- MODULE: ARTICLE STORE (CONTENT) ---
+    // Articles live in content/articles as Markdown files with a front-matter
+    // header; index.json lists their slugs, newest first. An article listing
+    // `translations: en ar` also ships <slug>.<lang>.md, whose title, excerpt,
+    // coverAlt and body replace the Indonesian ones in that language.
+    const articleStore = (() => {
+        const BASE_PATH = 'content/articles/';
+        let articlesPromise;
+
+        const parseValue = (raw) => {
+            const value = raw.trim();
+            if (value === 'true' || value === 'false') return value === 'true';
+            const quoted = value.match(/^(["'])(.*)\1$/);
+            return quoted ? quoted[2] : value;
+        };
+
+        const parseFrontMatter = (text) => {
+            const match = String(text).replace(/\r\n?/g, '\n').match(/^---\n([\s\S]*?)\n---\n?([\s\S]*)$/);
+            if (!match) return { meta: {}, body: text };
+            const meta = {};
+            match[1].split('\n').forEach(line => {
+                const pair = line.match(/^([\w-]+):\s*(.*)$/);
+                if (pair) meta[pair[1]] = parseValue(pair[2]);
+            });
+            return { meta, body: match[2] };
+        };
+
+        // Writes the same header parseFrontMatter reads. Values parseValue would alter
+        // (booleans as text, quoted strings) are wrapped in quotes; empty fields are left out.
+        const stringifyFrontMatter = (meta, body) => {
+            const lines = Object.entries(meta)
+                .filter(([, value]) => value !== undefined && value !== null && value !== '' && value !== false)
+                .map(([key, value]) => {
+                    if (value === true) return `${key}: true`;
+                    const text = String(value).replace(/\s+/g, ' ').trim();
+                    return `${key}: ${/^(true|false)$|^["'].*["']$/.test(text) ? `"${text}"` : text}`;
+                });
+            return `---\n${lines.join('\n')}\n---\n${String(body).replace(/\r\n?/g, '\n').trim()}\n`;
+        };
+
+        const fetchText = async (path) => {
+            const res = await fetch(`${BASE_PATH}${path}`);
+            if (!res.ok) throw new Error(`Gagal memuat ${path} (kode ${res.status}).`);
+            return res.text();
+        };
+
+        const TRANSLATED_FIELDS = ['title', 'excerpt', 'coverAlt'];
+
+        // A missing or broken translation falls back to the Indonesian original
+        const loadTranslation = async (slug, meta, language) => {
+            if (!String(meta.translations || '').split(/\s+/).includes(language)) return null;
+            try {
+                return parseFrontMatter(await fetchText(`${slug}.${language}.md`));
+            } catch (err) {
+                return null;
+            }
+        };
+
+        const loadArticle = async (slug) => {
+            const original = parseFrontMatter(await fetchText(`${slug}.md`));
+            const translation = i18n.language() === 'id' ? null : await loadTranslation(slug, original.meta, i18n.language());
+            const meta = { ...original.meta };
+            if (translation) TRANSLATED_FIELDS.forEach(field => { if (translation.meta[field]) meta[field] = translation.meta[field]; });
+            const body = translation?.body.trim() ? translation.body : original.body;
+            // text is the plain-text body, used by search and snippets; lang is the language it is written in
+            return {
+                ...meta, slug, body, text: markdown.toPlainText(body), popular: meta.popular === true,
+                lang: translation ? i18n.language() : 'id'
             };
-            setTimeout(() => select('#heroStack')?.classList.add('visible'), 100);
+        };
 
-            const slides = selectAll('.hero-slide');
-            if (slides.length <= 1) return;
-            let current = 0, interval;
-            const showSlide = i => slides.forEach((s, idx) => s.classList.toggle('show', i === idx));
-            const next = () => { current = (current + 1) % slides.length; showSlide(current); };
-            const startAuto = () => interval = setInterval(next, 7000);
-            
-            select('#nextSlide')?.addEventListener('click', () => { next(); clearInterval(interval); startAuto(); });
-            select('#prevSlide')?.addEventListener('click', () => { current = (current - 1 + slides.length) % slides.length; showSlide(current); clearInterval(interval); startAuto(); });
-            startAuto();
+        const getAll = () => {
+            if (!articlesPromise) {
+                articlesPromise = fetchText('index.json')
+                    .then(text => Promise.all(JSON.parse(text).map(loadArticle)))
+                    .catch(err => {
+                        articlesPromise = null; // allow a later retry
+                        throw err;
+                    });
+            }
+            return articlesPromise;
         };
-        
-        const setupBackToTop = () => {
-            const btn = select('.back-to-top');
-            window.addEventListener('scroll', throttle(() => {
-                btn.classList.toggle('show', window.scrollY > 500);
-            }, 200));
-            btn.addEventListener('click', () => {
-                if (typeof Lenis !== 'undefined' && scrollModule.lenis) {
-                    scrollModule.lenis.scrollTo(0);
+
+        const getBySlug = async (slug) => (await getAll()).find(a => a.slug === slug) || null;
+
+        return { getAll, getBySlug, parseFrontMatter, stringifyFrontMatter };
+    })();
+
+    // --- MODULE: BILLING SERVICE (SPP) ---
+    // Data layer for the Administrasi tab. It only talks to apiClient, so it runs
+    // against the mock backend locally; point these calls elsewhere if billing
+    // moves to a separate system.
+    const billingService = (() => {
+        const MAX_PROOF_SIZE = 2 * 1024 * 1024; // 2 MB, mirrors the server limit
+        const PROOF_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+        const basePath = (nis) => `/santri/${encodeURIComponent(nis)}/tagihan`;
+
+        const list = (nis) => apiClient.get(basePath(nis));
+
+        const validateProof = (file) => {
+            if (!file) return t('Pilih foto bukti transfer terlebih dahulu.');
+            if (!PROOF_TYPES.includes(file.type)) return t('Bukti transfer harus berupa gambar JPG, PNG atau WebP.');
+            if (file.size > MAX_PROOF_SIZE) return t('Ukuran foto maksimal 2 MB.');
+            return '';
+        };
+
+        const uploadProof = (nis, invoiceId, file) => {
+            const form = new FormData();
+            form.append('bukti', file);
+            return apiClient.post(`${basePath(nis)}/${encodeURIComponent(invoiceId)}/bukti`, form);
+        };
+
+        // Months awaiting verification still count as arrears until the treasurer confirms them
+        const summarize = (invoices) => {
+            const unpaid = invoices.filter(i => i.status !== 'lunas');
+            const [nextDue] = unpaid
+                .filter(i => i.status === 'belum')
+                .sort((a, b) => a.jatuhTempo.localeCompare(b.jatuhTempo));
+            return {
+                arrears: unpaid.reduce((sum, i) => sum + i.total, 0),
+                unpaidCount: unpaid.length,
+                awaitingCount: unpaid.filter(i => i.status === 'menunggu').length,
+                nextDue: nextDue || null
+            };
+        };
+
+        const exportCsv = (invoices) => {
+            const items = [...new Set(invoices.flatMap(i => i.rincian.map(r => r.nama)))];
+            const rows = invoices.map(i => [
+                dateUtils.formatMonth(i.periode, { mode: 'gregorian' }),
+                i.jatuhTempo,
+                i.tanggalBayar || '',
+                ...items.map(name => i.rincian.find(r => r.nama === name)?.jumlah ?? 0),
+                i.total,
+                i.status
+            ]);
+            return toCsv([['Bulan', 'Jatuh Tempo', 'Tanggal Bayar', ...items, 'Total', 'Status'], ...rows]);
+        };
+
+        return { list, validateProof, uploadProof, summarize, toCsv: exportCsv };
+    })();
+
+    // --- MODULE: GRADE SERVICE (NILAI) ---
+    // Predikat is never stored: it is derived from the score, the subject's KKM
+    // and the grading scale the admin configures, so changing the scale
+    // re-grades every raport at once.
+    const gradeService = (() => {
+        let scaleRequest = null;
+
+        const getScale = () => {
+            scaleRequest = scaleRequest || apiClient.get('/nilai/skala').catch(err => {
+                scaleRequest = null;
+                throw err;
+            });
+            return scaleRequest;
+        };
+
+        const saveScale = async (skala) => {
+            const saved = await apiClient.post('/nilai/skala', { skala });
+            scaleRequest = Promise.resolve(saved);
+            return saved;
+        };
+
+        const isScored = (score) => score !== null && score !== undefined && score !== '';
+
+        // Scores below KKM always fall in the belowKkm band, whatever their value
+        const band = (score, kkm, scale) => {
+            if (!isScored(score)) return null;
+            const value = Number(score);
+            if (value < Number(kkm)) return scale.find(b => b.belowKkm) || null;
+            return scale.find(b => !b.belowKkm && value >= b.min) || null;
+        };
+
+        // "A (Sangat Baik)": the letter stays, the keterangan is looked up in the catalog.
+        // The raport and the CSV export stay in Indonesian and pass keepSource.
+        const keepSource = (text) => text;
+        const label = (entry, translate = t) => (entry ? `${entry.predikat} (${translate(entry.keterangan)})` : '');
+
+        const predikat = (score, kkm, scale, translate) => label(band(score, kkm, scale), translate);
+
+        const withPredikat = (nilai, scale) => ({
+            ...nilai,
+            mapel: nilai.mapel.map(m => ({
+                ...m,
+                predikat: predikat(m.nilai, m.kkm, scale),
+                predikatSource: predikat(m.nilai, m.kkm, scale, keepSource),
+                belowKkm: isScored(m.nilai) && Number(m.nilai) < Number(m.kkm)
+            }))
+        });
+
+        const getSantriNilai = async (nis) => {
+            const [nilai, scale] = await Promise.all([apiClient.get(`/santri/${encodeURIComponent(nis)}/nilai`), getScale()]);
+            return withPredikat(nilai, scale);
+        };
+
+        const sheetPath = (kelas, mapel) => `/kelas/${encodeURIComponent(kelas)}/nilai/${encodeURIComponent(mapel)}`;
+
+        const classes = () => apiClient.get('/kelas');
+
+        const getSheet = (kelas, mapel) => apiClient.get(sheetPath(kelas, mapel));
+
+        // entries: [{ nis, nilai }] where nilai is a number or null to clear it
+        const saveSheet = (kelas, mapel, entries) => apiClient.post(sheetPath(kelas, mapel), { nilai: entries });
+
+        // Returns an error message, or '' when the text is empty or a whole number from 0 to 100
+        const validateScore = (text) => {
+            const value = String(text ?? '').trim();
+            if (!value) return '';
+            if (!/^\d{1,3}$/.test(value) || Number(value) > 100) return t('Nilai harus bilangan bulat 0–100.');
+            return '';
+        };
+
+        const parseScore = (text) => (String(text ?? '').trim() === '' ? null : Number(String(text).trim()));
+
+        const CSV_HEADINGS = ['NIS', 'Nama', 'Kelas', 'Mata Pelajaran', 'KKM', 'Nilai', 'Predikat'];
+
+        const sheetToCsv = (sheet, scale) => toCsv([
+            CSV_HEADINGS,
+            ...sheet.santri.map(s => [s.nis, s.nama, sheet.kelas, sheet.mapel, sheet.kkm, s.nilai ?? '', predikat(s.nilai, sheet.kkm, scale, keepSource)])
+        ]);
+
+        // Reads a CSV exported by sheetToCsv (or any file with NIS and Nilai columns).
+        // Unknown NIS and invalid scores are reported instead of silently dropped.
+        const parseImport = (text, sheet) => {
+            const [headings = [], ...rows] = parseCsv(text);
+            const column = (name) => headings.findIndex(h => h.trim().toLowerCase() === name.toLowerCase());
+            const nisCol = column('NIS');
+            const scoreCol = column('Nilai');
+            if (nisCol < 0 || scoreCol < 0) throw new Error(t('Berkas harus memiliki kolom "NIS" dan "Nilai".'));
+
+            const scores = {};
+            const problems = [];
+            rows.forEach((row, i) => {
+                const nis = String(row[nisCol] ?? '').trim();
+                const value = row[scoreCol] ?? '';
+                if (!sheet.santri.some(s => s.nis === nis)) {
+                    problems.push(t('Baris {line}: NIS {nis} tidak ada di kelas ini.', { line: i + 2, nis: nis || t('(kosong)') }));
+                } else if (validateScore(value)) {
+                    problems.push(t('Baris {line}: nilai "{value}" tidak valid.', { line: i + 2, value }));
                 } else {
-                    window.scrollTo({ top: 0, behavior: config.prefersReducedMotion ? 'auto' : 'smooth' });
+                    scores[nis] = parseScore(value);
                 }
             });
+            return { scores, problems };
         };
-        
-        const setupReadingProgress = () => {
-            const bar = select('#reading-progress-bar');
-            const body = select('#article-body');
-            if (!bar || !body) return;
-            const updateProgress = () => {
-                const rect = body.getBoundingClientRect();
-                const scrollable = rect.height - window.innerHeight;
-                const progress = Math.min(Math.max(-rect.top / scrollable, 0), 1);
-                bar.style.width = `${progress * 100}%`;
+
+        return { getScale, saveScale, predikat, getSantriNilai, classes, getSheet, saveSheet, validateScore, parseScore, sheetToCsv, parseImport };
+    })();
+
+    // --- MODULE: SMOOTH SCROLL (LENIS) ---
+    const scrollModule = (() => {
+        let lenis, rafId;
+        const scrollHandlers = new Set();
+
+        const init = () => {
+            // Delegated, so anchors in content swapped in by the router are covered too
+            document.addEventListener('click', handleAnchorClick);
+            window.addEventListener('scroll', () => { if (!lenis) dispatchScroll(); }, { passive: true });
+            // "Kurangi animasi" in the display preferences switches Lenis off and on at runtime
+            document.addEventListener('preferences:change', () => (config.prefersReducedMotion ? stop() : start()));
+            if (start()) scrollToHash();
+        };
+
+        // Lenis comes from unpkg; offline or blocked, the page keeps native scrolling
+        const start = () => {
+            if (lenis || typeof Lenis === 'undefined' || config.prefersReducedMotion) return false;
+            try {
+                lenis = new Lenis({ lerp: 0.08, smoothWheel: true });
+            } catch (err) {
+                lenis = undefined;
+                return false;
+            }
+            lenis.on('scroll', dispatchScroll);
+            const raf = (time) => {
+                if (!lenis) return;
+                lenis.raf(time);
+                rafId = requestAnimationFrame(raf);
             };
-            window.addEventListener('scroll', throttle(updateProgress, 16));
-            updateProgress();
+            rafId = requestAnimationFrame(raf);
+            return true;
         };
 
-        return { init };
+        const stop = () => {
+            if (!lenis) return;
+            cancelAnimationFrame(rafId);
+            lenis.destroy();
+            lenis = undefined;
+        };
+
+        const handleAnchorClick = (e) => {
+            const anchor = e.target.closest('a[href^="#"], a[href^="index.html#"]');
+            if (!lenis || !anchor || e.defaultPrevented) return;
+            const href = anchor.getAttribute('href');
+            const targetEl = hashTarget(href.substring(href.indexOf('#')));
+            if (targetEl) {
+                e.preventDefault();
+                lenis.scrollTo(targetEl, { offset: -80 });
+            }
+        };
+
+        const hashTarget = (hash) => {
+            if (!hash || hash === '#') return null;
+            try {
+                return select(decodeURIComponent(hash));
+            } catch (err) {
+                return null; // not a valid selector
+            }
+        };
+
+        // Returns whether the current #fragment matched an element
+        const scrollToHash = () => {
+            const targetEl = hashTarget(window.location.hash);
+            if (targetEl) setTimeout(() => scrollTo(targetEl, { offset: -80 }), 200);
+            return Boolean(targetEl);
+        };
+
+        // Scroll listeners and programmatic scrolling go through Lenis when it is running.
+        // Handlers are kept here, so they survive Lenis being switched off or on;
+        // onScroll returns the function that removes the handler again.
+        const dispatchScroll = () => scrollHandlers.forEach(handler => handler());
+
+        const onScroll = (handler) => {
+            scrollHandlers.add(handler);
+            return () => scrollHandlers.delete(handler);
+        };
+
+        const scrollTo = (target, { offset = 0, immediate = false } = {}) => {
+            if (lenis) {
+                lenis.scrollTo(target, { offset, immediate });
+                return;
+            }
+            const top = typeof target === 'number' ? target : target.getBoundingClientRect().top + window.scrollY + offset;
+            window.scrollTo({ top, behavior: immediate || config.prefersReducedMotion ? 'auto' : 'smooth' });
+        };
+        
+        return {
+            init, onScroll, scrollTo, scrollToHash,
+            get lenis() { return lenis; }
+        };
     })();
     
-    // --- MODULE: DASHBOARD PAGE ---
-    const dashboardModule = (() => {
+    // --- MODULE: UI EFFECTS (CURSOR, TILT, MAGNETIC, REVEAL, etc.) ---
+    const uiEffectsModule = (() => {
+        let revealObserver, counterObserver;
+        const boundElements = {};
+
         const init = () => {
-            // Redirect if not logged in
-            if (sessionStorage.getItem('isLoggedIn') !== 'true') {
-                window.location.href = 'login.html';
+            window.addEventListener('mousemove', moveFollower);
+            // Switching animations back on binds whatever was skipped in the meantime
+            document.addEventListener('preferences:change', () => attach(document));
+            attach(document);
+        };
+
+        // Pointer effects need a mouse and room. Checked on every event, because the
+        // viewport and the "kurangi animasi" preference can both change after binding.
+        const pointerFx = () => !config.prefersReducedMotion && !config.isTouchDevice && !config.isMobileViewport;
+
+        // Binds every effect to the matching elements inside root. Safe to call
+        // again for content rendered after load; bound elements are skipped.
+        const attach = (root = document) => {
+            if (config.prefersReducedMotion) {
+                // Without animations the counters show their final value straight away
+                root.querySelectorAll('.num[data-count]').forEach(el => { el.textContent = el.dataset.count; });
                 return;
             }
-            setupTabs();
+            setupCursorFollower(root);
+            setupMagneticElements(root);
+            setupTilting(root);
+            setupRevealAnimations(root);
+            setupCounters(root);
+            setupCardSpotlight(root);
+            addRippleEffect(unbound(root, '.ripple', 'ripple'));
         };
 
-        const setupTabs = () => {
-            const links = selectAll('.sidebar-link');
-            const contents = selectAll('.dashboard-content');
-            const title = select('#dashboard-title');
-            
-            links.forEach(link => {
-                link.addEventListener('click', e => {
-                    e.preventDefault();
-                    const targetId = link.dataset.target;
-                    
-                    links.forEach(l => l.classList.remove('active'));
-                    link.classList.add('active');
-                    
-                    contents.forEach(c => c.classList.remove('active'));
-                    select(`#${targetId}`)?.classList.add('active');
-                    
-                    title.textContent = link.querySelector('span').textContent;
-                    window.scrollTo(0, 0);
+        const unbound = (root, selector, effect) => {
+            const bound = boundElements[effect] = boundElements[effect] || new WeakSet();
+            return Array.from(root.querySelectorAll(selector)).filter(el => {
+                if (bound.has(el)) return false;
+                bound.add(el);
+                return true;
+            });
+        };
+
+        const moveFollower = throttle(e => {
+            if (!pointerFx()) return;
+            const follower = select('.cursor-follower');
+            if (follower) follower.style.transform = `translate(${e.clientX}px, ${e.clientY}px)`;
+        }, 16);
+
+        const setupCursorFollower = (root) => {
+            const follower = select('.cursor-follower');
+            if (!follower) return;
+            unbound(root, 'a, button, [data-tilt], .nav-btn, .menu-btn, .magnetic', 'cursor').forEach(el => {
+                el.addEventListener('mouseenter', () => follower.classList.toggle('grow', pointerFx()));
+                el.addEventListener('mouseleave', () => follower.classList.remove('grow'));
+            });
+        };
+
+        const setupMagneticElements = (root) => {
+            unbound(root, '.magnetic', 'magnetic').forEach(el => {
+                el.addEventListener('mousemove', function(e) {
+                    if (!pointerFx()) return;
+                    const rect = this.getBoundingClientRect();
+                    const x = (e.clientX - rect.left - rect.width / 2) * 0.3;
+                    const y = (e.clientY - rect.top - rect.height / 2) * 0.3;
+                    this.style.transform = `translate(${x}px, ${y}px)`;
+                    this.style.transition = 'transform 0.1s ease-out';
+                });
+                el.addEventListener('mouseleave', function() {
+                    this.style.transform = 'translate(0, 0)';
+                    this.style.transition = 'transform 0.6s var(--ease-out-expo)';
+                });
+            });
+        };
+
+        const setupTilting = (root) => {
+            unbound(root, '[data-tilt]', 'tilt').forEach(el => {
+                const maxTilt = el.classList.contains('soft-tilt') ? 6 : 15;
+                el.addEventListener('mousemove', e => {
+                    if (!pointerFx()) return;
+                    const rect = el.getBoundingClientRect();
+                    const rX = (e.clientY - rect.top - rect.height / 2) / (rect.height / 2) * -maxTilt;
+                    const rY = (e.clientX - rect.left - rect.width / 2) / (rect.width / 2) * maxTilt;
+                    el.style.transform = `perspective(1000px) rotateX(${rX}deg) rotateY(${rY}deg) scale(1.02)`;
+                    el.style.transition = 'transform 0.1s ease-out';
+                });
+                el.addEventListener('mouseleave', () => {
+                    el.style.transform = 'perspective(1000px) rotateX(0deg) rotateY(0deg) scale(1)';
+                    el.style.transition = 'transform 0.6s var(--ease-out-expo)';
                 });
             });
         };
         
+        const setupRevealAnimations = (root) => {
+            revealObserver = revealObserver || new IntersectionObserver((entries, obs) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        const parent = entry.target.parentElement;
+                        const delay = parent && getComputedStyle(parent).display === 'grid' 
+                            ? Array.from(parent.children).indexOf(entry.target) * 100 : 0;
+                        entry.target.style.transitionDelay = `${delay}ms`;
+                        entry.target.classList.add('in');
+                        obs.unobserve(entry.target);
+                    }
+                });
+            }, { threshold: 0.1, rootMargin: '0px 0px -50px 0px' });
+            unbound(root, '.reveal, .reveal-s', 'reveal').forEach(el => revealObserver.observe(el));
+        };
+        
+        const setupCounters = (root) => {
+            counterObserver = counterObserver || new IntersectionObserver((entries, obs) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        const el = entry.target;
+                        const target = +el.dataset.count;
+                        let current = 0; const increment = target / 100;
+                        const updateCount = () => {
+                            current += increment;
+                            if (current < target) {
+                                el.innerText = Math.ceil(current); requestAnimationFrame(updateCount);
+                            } else {
+                                el.innerText = target;
+                            }
+                        };
+                        updateCount();
+                        obs.unobserve(el);
+                    }
+                });
+            }, { threshold: 0.8 });
+            unbound(root, '.num[data-count]', 'counter').forEach(counter => counterObserver.observe(counter));
+        };
+        
+        const setupCardSpotlight = (root) => {
+            unbound(root, '.card', 'spotlight').forEach(card => {
+                const spotlight = card.querySelector('.card-spotlight');
+                if (!spotlight) return;
+                card.addEventListener('mousemove', e => {
+                    const rect = card.getBoundingClientRect();
+                    const x = e.clientX - rect.left;
+                    const y = e.clientY - rect.top;
+                    spotlight.style.left = x + 'px';
+                    spotlight.style.top = y + 'px';
+                });
+            });
+        };
+
+        // Called before the router swaps <main>: the observers would otherwise keep the
+        // outgoing page's elements alive. Header and footer bindings stay in place.
+        const destroy = () => {
+            revealObserver?.disconnect();
+            counterObserver?.disconnect();
+            revealObserver = counterObserver = null;
+            select('.cursor-follower')?.classList.remove('grow');
+        };
+
+        const addRippleEffect = (elements) => {
+            elements.forEach(el => {
+                el.addEventListener('click', function(e) {
+                    if (config.prefersReducedMotion) return;
+                    const rect = this.getBoundingClientRect();
+                    const ripple = document.createElement('span');
+                    const size = Math.max(rect.width, rect.height);
+                    ripple.style.width = ripple.style.height = `${size}px`;
+                    ripple.style.left = `${e.clientX - rect.left - size / 2}px`;
+                    ripple.style.top = `${e.clientY - rect.top - size / 2}px`;
+                    ripple.classList.add('ripple-effect');
+                    this.appendChild(ripple);
+                    ripple.addEventListener('animationend', () => ripple.remove());
+                });
+            });
+        };
+        
+        return { init, attach, destroy };
+    })();
+
+    // --- MODULE: NAVIGATION & HEADER ---
+    const navigationModule = (() => {
+        const header = select('.header');
+        let sections = selectAll('[data-scroll-section]');
+        const allNavLinks = selectAll('.desktop-nav a.nav-link, .mobile-nav-panel a');
+        const desktopNavLinks = selectAll('.desktop-nav a.nav-link');
+
+        const init = () => {
+            if (!header) return;
+            setupMobileNav();
+            window.addEventListener('scroll', throttle(handleScroll, 100), { passive: true });
+            handlePageLoad();
+        };
+
+        const handleScroll = () => {
+            header.classList.toggle('scrolled', window.scrollY > 50);
+            updateActiveLinkOnScroll();
+        };
+        
+        const updateActiveLinkOnScroll = () => {
+            if (sections.length === 0) return;
+            let currentSectionId = '';
+            const triggerPoint = window.scrollY + window.innerHeight * 0.4;
+            
+            sections.forEach(section => {
+                if (triggerPoint >= section.offsetTop) {
+                    currentSectionId = section.id;
+                }
+            });
+            updateLinks(currentSectionId);
+        };
+        
+        const updateLinks = (activeSectionId) => {
+            allNavLinks.forEach(link => {
+                const linkSection = link.getAttribute('data-section');
+                link.classList.toggle('active', linkSection === activeSectionId);
+            });
+        };
+
+        const handlePageLoad = () => {
+            const path = window.location.pathname.split('/').pop();
+            let activeSection;
+
+            if (path.includes('artikel')) {
+                activeSection = 'pena';
+            } else if (path.includes('dashboard')) {
+                activeSection = 'dashboard';
+            } else {
+                activeSection = 'beranda';
+            }
+            updateLinks(activeSection);
+            handleScroll();
+        };
+
+        // After a page transition: the links take the new page's hrefs (index.html
+        // points at its own sections with a bare #fragment) and the active state is recomputed
+        const refresh = (doc) => {
+            if (!header) return;
+            allNavLinks.forEach(link => {
+                const section = link.getAttribute('data-section');
+                const source = doc.querySelector(`.${link.closest('.mobile-nav-panel') ? 'mobile-nav-panel' : 'desktop-nav'} a[data-section="${section}"]`);
+                if (source) link.setAttribute('href', source.getAttribute('href'));
+            });
+            sections = selectAll('[data-scroll-section]');
+            handlePageLoad();
+        };
+
+        const setupMobileNav = () => {
+            const menuBtn = select('#menuBtn');
+            const navPanel = select('#mobileNavPanel');
+            const navOverlay = select('#navOverlay');
+            if (!menuBtn || !navPanel || !navOverlay) return;
+
+            const toggleMenu = (forceClose = false) => {
+                const isOpen = document.body.classList.contains('body-no-scroll');
+                if (forceClose || isOpen) {
+                    menuBtn.classList.remove('active');
+                    navPanel.classList.remove('open');
+                    navOverlay.classList.remove('open');
+                    document.body.classList.remove('body-no-scroll');
+                } else {
+                    menuBtn.classList.add('active');
+                    navPanel.classList.add('open');
+                    navOverlay.classList.add('open');
+                    document.body.classList.add('body-no-scroll');
+                }
+            };
+            menuBtn.addEventListener('click', () => toggleMenu());
+            navOverlay.addEventListener('click', () => toggleMenu(true));
+            selectAll('.mobile-nav-panel a').forEach(link => {
+                link.addEventListener('click', () => setTimeout(() => toggleMenu(true), 150));
+            });
+        };
+
+        return { init, updateLinks, refresh };
+    })();
+    
+    // --- MODULE: FORM VALIDATION ---
+    // Declarative rules read from data-validate, e.g.
+    //   data-validate="required|email|emailAvailable"
+    //   data-validate="required|match:#signUpPassword"
+    // A rule returns an error message ('' when valid) or a Promise of one, so
+    // server checks can sit next to the synchronous ones. Only the first failing
+    // rule of a field is reported; empty optional fields skip everything but required.
+    const formValidator = (() => {
+        const rules = {
+            required: value => (value.trim() ? '' : t('Kolom ini tidak boleh kosong.')),
+            email: value => (/^\S+@\S+\.\S+$/.test(value.trim()) ? '' : t('Format email tidak valid.')),
+            minlength: (value, min, input) => (value.length >= Number(min) ? ''
+                : t(input.type === 'password' ? 'Password minimal {min} karakter.' : 'Isian minimal {min} karakter.', { min })),
+            // "digits:6" or "digits:9-10"
+            digits: (value, length) => {
+                const [min, max = min] = length.split('-').map(Number);
+                const valid = new RegExp(`^\\d{${min},${max}}$`).test(value.trim());
+                return valid ? '' : t('Harus berupa {count} digit angka.', { count: min === max ? min : `${min}–${max}` });
+            },
+            pastDate: value => {
+                const date = dateUtils.parse(value);
+                if (Number.isNaN(date.getTime())) return t('Format tanggal tidak valid.');
+                return date < new Date() ? '' : t('Tanggal tidak boleh di masa depan.');
+            },
+            // Indonesian mobile numbers: 08..., 628... or +628..., spaces and dashes allowed
+            phone: value => (/^(\+?62|0)8\d{7,11}$/.test(value.replace(/[\s-]/g, '')) ? '' : t('Nomor WhatsApp tidak valid, contoh 0812-3456-7890.')),
+            match: (value, selector, input) => (value === input.form?.querySelector(selector)?.value ? '' : t('Konfirmasi password tidak cocok.'))
+        };
+
+        const latestCheck = new WeakMap(); // input -> id of its newest validation run
+
+        const addRule = (name, rule) => { rules[name] = rule; };
+
+        const parseRules = (spec = '') => spec.split('|').filter(Boolean).map(part => {
+            const [name, ...arg] = part.split(':');
+            return { name, arg: arg.join(':') };
+        });
+
+        const showError = (input, message) => {
+            const errorEl = input.closest('.input-group, .form-field')?.querySelector('.input-error-message');
+            if (errorEl) errorEl.textContent = message;
+            input.classList.toggle('invalid', !!message);
+            input.setAttribute('aria-invalid', String(!!message));
+        };
+
+        const validateField = async (input) => {
+            const run = (latestCheck.get(input) || 0) + 1;
+            latestCheck.set(input, run);
+
+            let message = '';
+            for (const { name, arg } of parseRules(input.dataset.validate)) {
+                if (name !== 'required' && !input.value.trim()) continue;
+                if (!rules[name]) throw new Error(`Aturan validasi "${name}" tidak dikenal.`);
+                message = await rules[name](input.value, arg, input);
+                if (message) break;
+            }
+
+            // A slower async check must not overwrite the result of a newer one
+            if (latestCheck.get(input) === run) showError(input, message);
+            return !message;
+        };
+
+        // Validates every enabled field in the form or fieldset and focuses the first invalid one
+        const validate = async (container) => {
+            const fields = Array.from(container.querySelectorAll('[data-validate]')).filter(input => !input.disabled);
+            const results = await Promise.all(fields.map(validateField));
+            const firstInvalid = fields.find((_, i) => !results[i]);
+            firstInvalid?.focus();
+            return !firstInvalid;
+        };
+
+        // Live feedback: check a field when it is left, re-check while typing once it is marked invalid
+        const attach = (form) => {
+            const recheck = debounce(input => validateField(input), 300);
+            form.addEventListener('focusout', e => {
+                if (e.target.matches?.('[data-validate]') && e.target.value) validateField(e.target);
+            });
+            form.addEventListener('input', e => {
+                if (e.target.matches('[data-validate].invalid')) recheck(e.target);
+            });
+        };
+
+        const reset = (container) => {
+            container.querySelectorAll('[data-validate]').forEach(input => showError(input, ''));
+        };
+
+        return { addRule, validate, validateField, attach, reset };
+    })();
+
+    // --- MODULE: AUTHENTICATION ---
+    const authModule = (() => {
+        const ROLE_LABELS = { wali: 'Wali Santri', ustadz: 'Ustadz', admin: 'Admin', editor: 'Redaksi' };
+
+        const init = () => {
+            document.addEventListener('auth:expired', handleSessionExpired);
+            authClient.init();
+
+            // Check auth status on every page load
+            checkAuthStatus();
+            applyRoleGuards();
+            
+            // Setup listeners only on pages where they exist
+            if (select('#authWrapper')) {
+                setupAuthForm();
+                showExpiredNotice();
+            }
+            if (select('#logoutBtn')) setupLogout();
+            if (select('#logoutBtnDashboard')) setupLogout();
+        };
+        
+        const setupAuthForm = () => {
+            const container = select('#authWrapper');
+            const activateSignUp = () => container.classList.add('right-panel-active');
+            const activateSignIn = () => container.classList.remove('right-panel-active');
+
+            select('#signUpBtn')?.addEventListener('click', activateSignUp);
+            select('#signInBtn')?.addEventListener('click', activateSignIn);
+            select('#mobileSwitchToSignUp')?.addEventListener('click', activateSignUp);
+            select('#mobileSwitchToSignIn')?.addEventListener('click', activateSignIn);
+
+            // The server check runs only once the format is valid; a network failure is
+            // not reported here because registration itself re-checks the email
+            formValidator.addRule('emailAvailable', value => authClient.isEmailAvailable(value.trim())
+                .then(available => (available ? '' : t('Email sudah terdaftar. Silakan masuk atau gunakan email lain.')))
+                .catch(() => ''));
+
+            selectAll('#signInForm, #signUpForm, #forgotForm').forEach(formValidator.attach);
+
+            select('#signInForm')?.addEventListener('submit', handleSignIn);
+            select('#signUpForm')?.addEventListener('submit', handleSignUp);
+            select('#forgotForm')?.addEventListener('submit', handleForgot);
+            select('#forgotPasswordLink')?.addEventListener('click', () => showForgotForm(true));
+            select('#forgotForm [data-auth-back]')?.addEventListener('click', () => showForgotForm(false));
+            select('#resendCodeBtn')?.addEventListener('click', handleResendCode);
+            selectAll('#signUpForm [data-step-back]').forEach(btn => {
+                btn.addEventListener('click', () => showStep(select('#signUpForm'), btn.dataset.stepBack));
+            });
+        };
+
+        const setMessage = (form, text, tone = 'error') => {
+            const messageEl = form.querySelector('.form-message');
+            messageEl.textContent = text;
+            messageEl.classList.toggle('is-success', tone === 'success');
+        };
+
+        // Without a mail server the backend hands the code back; show it so the flow can be completed
+        const withDevCode = (text, devCode) => [text, devCode && t('(Mode pengembangan: kode Anda {code}.)', { code: devCode })].filter(Boolean).join(' ');
+
+        // Multi-step forms keep inactive fieldsets hidden and disabled so their fields are neither validated nor submitted
+        const showStep = (form, name) => {
+            form.querySelectorAll('.auth-step').forEach(step => {
+                const isActive = step.dataset.step === name;
+                step.hidden = !isActive;
+                step.disabled = !isActive;
+            });
+            form.querySelectorAll('[data-step-indicator]').forEach(item => {
+                const isActive = item.dataset.stepIndicator === name;
+                item.classList.toggle('is-active', isActive);
+                if (isActive) item.setAttribute('aria-current', 'step');
+                else item.removeAttribute('aria-current');
+            });
+            setMessage(form, '');
+            form.querySelector(`[data-step="${name}"] input`)?.focus();
+        };
+
+        const activeStep = (form) => form.querySelector('.auth-step:not([hidden])');
+
+        // Validates the active step, then runs its action with the submit button locked
+        const submitStep = async (form, pendingText, action) => {
+            const step = activeStep(form) || form;
+            if (!(await formValidator.validate(step))) return;
+
+            const submitBtn = step.querySelector('button[type="submit"]');
+            setMessage(form, pendingText);
+            submitBtn.disabled = true;
+            try {
+                await action(step);
+            } catch (err) {
+                setMessage(form, err.message);
+            } finally {
+                submitBtn.disabled = false;
+            }
+        };
+
+        const handleSignIn = (e) => {
+            e.preventDefault();
+            const form = e.target;
+            const email = form.querySelector('#signInEmail').value.trim();
+            const password = form.querySelector('#signInPassword').value;
+
+            return submitStep(form, t('Mencoba masuk...'), async () => {
+                try {
+                    await authClient.signIn(email, password);
+                    window.location.href = 'dashboard.html';
+                } catch (err) {
+                    // Registered but never verified: continue with the verification step of the sign-up form
+                    if (err.status !== 403) throw err;
+                    setMessage(form, '');
+                    select('#authWrapper').classList.add('right-panel-active');
+                    showVerification(email, '', err.message);
+                }
+            });
+        };
+
+        // --- Sign-up: santri check -> account -> email verification ---
+        const signUpState = { santri: null, email: '' };
+
+        const showVerification = (email, devCode, text = '') => {
+            const form = select('#signUpForm');
+            signUpState.email = email;
+            select('#verifyEmailTarget').textContent = email;
+            showStep(form, 'verifikasi');
+            if (text || devCode) setMessage(form, withDevCode(text, devCode), 'success');
+        };
+
+        const signUpSteps = {
+            santri: async (form) => {
+                const nis = form.querySelector('#signUpNis').value.trim();
+                const tanggalLahir = form.querySelector('#signUpBirthDate').value;
+                const santri = await authClient.checkSantri(nis, tanggalLahir);
+                signUpState.santri = { nis, tanggalLahir };
+                select('#signUpSantriInfo').textContent = t('Wali dari {nama} (NIS {nis}). Lengkapi data akun Anda.', santri);
+                showStep(form, 'akun');
+            },
+            akun: async (form) => {
+                const email = form.querySelector('#signUpEmail').value.trim();
+                const { devCode } = await authClient.signUp({
+                    name: form.querySelector('#signUpName').value.trim(),
+                    email,
+                    password: form.querySelector('#signUpPassword').value,
+                    ...signUpState.santri
+                });
+                showVerification(email, devCode);
+            },
+            verifikasi: async (form) => {
+                await authClient.verifyEmail(signUpState.email, form.querySelector('#verifyCode').value.trim());
+                finishSignUp(form);
+            }
+        };
+
+        const SIGN_UP_PENDING = {
+            santri: 'Mencocokkan data santri...',
+            akun: 'Mendaftarkan akun...',
+            verifikasi: 'Memverifikasi kode...'
+        };
+
+        const handleSignUp = (e) => {
+            e.preventDefault();
+            const form = e.target;
+            const { step } = activeStep(form).dataset;
+            return submitStep(form, t(SIGN_UP_PENDING[step]), () => signUpSteps[step](form));
+        };
+
+        const handleResendCode = async () => {
+            const form = select('#signUpForm');
+            const btn = select('#resendCodeBtn');
+            btn.disabled = true;
+            try {
+                const { devCode } = await authClient.resendVerification(signUpState.email);
+                setMessage(form, withDevCode(t('Kode verifikasi baru telah dikirim.'), devCode), 'success');
+            } catch (err) {
+                setMessage(form, err.message);
+            } finally {
+                btn.disabled = false;
+            }
+        };
+
+        const finishSignUp = (form) => {
+            const signInForm = select('#signInForm');
+            const { email } = signUpState;
+            form.reset();
+            formValidator.reset(form);
+            signUpState.santri = null;
+            signUpState.email = '';
+            showStep(form, 'santri');
+
+            select('#authWrapper').classList.remove('right-panel-active');
+            signInForm.querySelector('#signInEmail').value = email;
+            setMessage(signInForm, t('Email berhasil diverifikasi. Silakan masuk.'), 'success');
+            signInForm.querySelector('#signInPassword').focus();
+        };
+
+        // --- Forgot password: request a code, then set a new password ---
+        const showForgotForm = (show) => {
+            const signInForm = select('#signInForm');
+            const forgotForm = select('#forgotForm');
+            signInForm.hidden = show;
+            forgotForm.hidden = !show;
+            if (show) {
+                forgotForm.querySelector('#forgotEmail').value = signInForm.querySelector('#signInEmail').value;
+                showStep(forgotForm, 'email');
+            } else {
+                forgotForm.reset();
+                formValidator.reset(forgotForm);
+                select('#forgotPasswordLink').focus();
+            }
+        };
+
+        const handleForgot = (e) => {
+            e.preventDefault();
+            const form = e.target;
+            const email = form.querySelector('#forgotEmail').value.trim();
+
+            if (activeStep(form).dataset.step === 'email') {
+                return submitStep(form, t('Mengirim kode reset...'), async () => {
+                    const { devCode } = await authClient.requestPasswordReset(email);
+                    select('#resetHint').textContent = t('Jika {email} terdaftar, kode reset 6 digit telah dikirim ke email tersebut. Masukkan kode dan password baru Anda.', { email });
+                    showStep(form, 'reset');
+                    if (devCode) setMessage(form, withDevCode('', devCode), 'success');
+                });
+            }
+
+            return submitStep(form, t('Menyimpan password baru...'), async () => {
+                await authClient.resetPassword(email, form.querySelector('#resetCode').value.trim(), form.querySelector('#resetPassword').value);
+                showForgotForm(false);
+                const signInForm = select('#signInForm');
+                signInForm.querySelector('#signInEmail').value = email;
+                signInForm.querySelector('#signInPassword').value = '';
+                setMessage(signInForm, t('Password berhasil diubah. Silakan masuk dengan password baru.'), 'success');
+                signInForm.querySelector('#signInPassword').focus();
+            });
+        };
+
+        const checkAuthStatus = () => {
+            if (authClient.isAuthenticated()) {
+                document.body.classList.add('logged-in');
+                selectAll('.btn-login, .nav-login-link').forEach(el => el.style.display = 'none');
+                selectAll('.btn-logout, .nav-dashboard-link').forEach(el => el.style.display = 'inline-flex');
+                const waliName = authClient.getUser()?.name || t('Wali Santri');
+                if(select('#waliName')) select('#waliName').textContent = waliName;
+                if (select('#userRole')) select('#userRole').textContent = roleLabel(authClient.getRole());
+            } else {
+                document.body.classList.remove('logged-in');
+                selectAll('.btn-login, .nav-login-link').forEach(el => el.style.display = 'inline-flex');
+                selectAll('.btn-logout, .nav-dashboard-link').forEach(el => el.style.display = 'none');
+            }
+        };
+
+        const roleLabel = (role) => (ROLE_LABELS[role] ? t(ROLE_LABELS[role]) : role || '');
+
+        // data-requires-role="ustadz admin" lists the roles allowed to see an element
+        const canAccess = (el) => {
+            const roles = el.dataset.requiresRole?.split(/\s+/).filter(Boolean);
+            return !roles || authClient.hasRole(roles);
+        };
+
+        // On <body> the guard covers the whole page: visitors are sent to login, other roles to their
+        // own dashboard. Dashboard sections stay in place so a direct link explains the missing access
+        // instead of showing a blank tab.
+        const applyRoleGuards = () => {
+            if (!canAccess(document.body)) {
+                window.location.href = authClient.isAuthenticated() ? 'dashboard.html' : 'login.html';
+                return;
+            }
+            selectAll('[data-requires-role]:not(body):not([data-section])').forEach(el => {
+                el.hidden = !canAccess(el);
+            });
+        };
+
+        const handleSessionExpired = () => {
+            checkAuthStatus();
+            if (document.body.classList.contains('dashboard-page')) {
+                window.location.href = 'login.html?sesi=berakhir';
+            }
+        };
+
+        const showExpiredNotice = () => {
+            if (new URLSearchParams(window.location.search).get('sesi') !== 'berakhir') return;
+            const messageEl = select('#signInForm .form-message');
+            if (messageEl) messageEl.textContent = t('Sesi Anda telah berakhir. Silakan masuk kembali.');
+        };
+
+        const setupLogout = () => {
+            selectAll('#logoutBtn, #logoutBtnDashboard').forEach(btn => {
+                btn.addEventListener('click', async e => {
+                    e.preventDefault();
+                    await authClient.signOut();
+                    window.location.href = 'index.html';
+                });
+            });
+        };
+        
+        return { init, canAccess, roleLabel };
+    })();
+    
+    // --- MODULE: CONTACT FORM (INDEX #kontak) ---
+    // Inquiries go to config.contactEndpoint (or the portal API). When that is
+    // unreachable the same message is handed to WhatsApp instead, so a question
+    // is never lost. Spam is kept out by a honeypot field and a per-browser rate
+    // limit here, with the server enforcing its own limit per phone number.
+    const contactModule = (() => {
+        const WHATSAPP_NUMBER = '6282301105096';
+        const RATE_LIMIT = { count: 3, window: 60 * 60 * 1000, gap: 60 * 1000 };
+        const HISTORY_KEY = 'contactSubmissions';
+        const TOPICS = {
+            pendaftaran: 'Pendaftaran Santri Baru',
+            kunjungan: 'Kunjungan / Sambang',
+            administrasi: 'Administrasi & Pembayaran'
+        };
+
+        const history = () => {
+            try {
+                const since = Date.now() - RATE_LIMIT.window;
+                return (JSON.parse(localStorage.getItem(HISTORY_KEY)) || []).filter(time => time > since);
+            } catch (err) {
+                return [];
+            }
+        };
+
+        const remember = () => {
+            try {
+                localStorage.setItem(HISTORY_KEY, JSON.stringify([...history(), Date.now()]));
+            } catch (err) {
+                // Storage disabled; the server-side limit still applies
+            }
+        };
+
+        // Returns a message when this browser should wait before sending again
+        const rateLimitMessage = () => {
+            const sent = history();
+            if (!sent.length) return '';
+            if (sent.length >= RATE_LIMIT.count) {
+                const minutes = Math.ceil((sent[0] + RATE_LIMIT.window - Date.now()) / 60000);
+                return t('Anda sudah mengirim {count} pesan dalam satu jam terakhir. Coba lagi dalam {minutes} menit atau hubungi kami lewat WhatsApp.', { count: sent.length, minutes });
+            }
+            const wait = Math.ceil((sent[sent.length - 1] + RATE_LIMIT.gap - Date.now()) / 1000);
+            return wait > 0 ? t('Pesan sebelumnya baru saja terkirim. Tunggu {seconds} detik sebelum mengirim lagi.', { seconds: wait }) : '';
+        };
+
+        const whatsappUrl = ({ name, phone, topic, message }) => `https://wa.me/${WHATSAPP_NUMBER}?text=${encodeURIComponent([
+            'Assalamu\'alaikum, PPMHA.',
+            `Saya ingin bertanya tentang *${TOPICS[topic]}*.`,
+            '',
+            `Nama: ${name}`,
+            `No. WhatsApp: ${phone}`,
+            '',
+            'Pertanyaan:',
+            message,
+            '',
+            '(dikirim dari formulir kontak website)'
+        ].join('\n'))}`;
+
+        const send = async (payload) => {
+            if (!config.contactEndpoint) return apiClient.post('/kontak', payload, { auth: false });
+            let response;
+            try {
+                response = await fetch(config.contactEndpoint, {
+                    method: 'POST',
+                    headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
+                    body: JSON.stringify(payload)
+                });
+            } catch (err) {
+                throw Object.assign(new Error(t('Tidak dapat terhubung ke server.')), { status: 0 });
+            }
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) throw Object.assign(new Error(data.message || t('Permintaan gagal (kode {status}).', { status: response.status })), { status: response.status });
+            return data;
+        };
+
+        // Validation and rate-limit answers are shown as-is; anything else means the endpoint is down
+        const isUnavailable = (err) => err.status === 0 || err.status === 404 || err.status >= 500;
+
+        const handOffToWhatsApp = (form, payload) => {
+            const url = whatsappUrl(payload);
+            const message = form.querySelector('.form-message');
+            const opened = window.open(url, '_blank');
+            if (opened) opened.opener = null;
+            message.classList.remove('is-success');
+            message.innerHTML = `${escapeHtml(t('Formulir sedang tidak dapat dikirim.'))} ${opened ? escapeHtml(t('Pesan Anda kami buka di WhatsApp.')) : ''}
+                <a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer" class="contact-whatsapp-link"><i class="fa-brands fa-whatsapp"></i> ${escapeHtml(t('Kirim lewat WhatsApp'))}</a>`;
+        };
+
+        const submit = async (form) => {
+            const message = form.querySelector('.form-message');
+            const button = form.querySelector('button[type="submit"]');
+            message.classList.remove('is-success');
+            message.textContent = '';
+
+            const payload = {
+                name: form.elements.name.value.trim(),
+                phone: form.elements.phone.value.trim(),
+                topic: form.elements.topic.value,
+                message: form.elements.message.value.trim(),
+                website: form.elements.website.value
+            };
+            // A filled honeypot is a bot: act as if it worked and send nothing
+            if (payload.website) {
+                form.reset();
+                message.classList.add('is-success');
+                message.textContent = t('Terima kasih, pesan Anda sudah kami terima.');
+                return;
+            }
+            if (!await formValidator.validate(form)) return;
+            const limited = rateLimitMessage();
+            if (limited) {
+                message.textContent = limited;
+                return;
+            }
+
+            const label = button.innerHTML;
+            button.disabled = true;
+            button.innerHTML = `<i class="fa-solid fa-spinner fa-spin"></i> ${escapeHtml(t('Mengirim...'))}`;
+            try {
+                await send(payload);
+                remember();
+                form.reset();
+                formValidator.reset(form);
+                message.classList.add('is-success');
+                message.textContent = t('Terima kasih, {name}. Pesan Anda sudah kami terima dan akan dibalas lewat WhatsApp.', payload);
+            } catch (err) {
+                if (isUnavailable(err)) handOffToWhatsApp(form, payload);
+                else message.textContent = err.message;
+            } finally {
+                button.disabled = false;
+                button.innerHTML = label;
+            }
+        };
+
+        const init = () => {
+            const form = select('#contactForm');
+            if (!form) return;
+            formValidator.attach(form);
+            form.addEventListener('submit', e => {
+                e.preventDefault();
+                submit(form);
+            });
+        };
+
+        return { init };
+    })();
+
+    // --- MODULE: PAGE-SPECIFIC LOGIC ---
+    const pageModules = (() => {
+        const cleanup = createCleanup();
+
+        const init = () => {
+            const pageId = document.body.className;
+            
+            if (select('#heroStack')) setupHeroFX();
+            if (select('.back-to-top')) setupBackToTop();
+            if (select('#reading-progress-bar')) setupReadingProgress();
+            if (select('[data-article-list], #article-body')) articleModule.init();
+            if (select('#articleEditor')) editorModule.init();
+            if (select('#contactForm')) contactModule.init();
+            if (pageId.includes('dashboard-page')) {
+                dashboardModule.init();
+                notificationModule.init();
+            }
+        };
+
+        // Undoes init for the page transition router; only the public pages it serves need teardown
+        const destroy = () => {
+            articleModule.destroy();
+            notificationModule.destroy();
+            cleanup.run();
+        };
+
+        const setupHeroFX = () => {
+            if (config.prefersReducedMotion) select('#heroStack')?.classList.add('visible');
+            else setTimeout(() => select('#heroStack')?.classList.add('visible'), 100);
+
+            const slides = selectAll('.hero-slide');
+            if (slides.length <= 1) return;
+            let current = 0, interval;
+            const showSlide = i => slides.forEach((s, idx) => s.classList.toggle('show', i === idx));
+            const next = () => { current = (current + 1) % slides.length; showSlide(current); };
+            // Autoplay is motion too: it stops and resumes with the "kurangi animasi" preference
+            const startAuto = () => {
+                clearInterval(interval);
+                if (!config.prefersReducedMotion) interval = setInterval(next, 7000);
+            };
+            cleanup.add(() => clearInterval(interval));
+            cleanup.listen(document, 'preferences:change', startAuto);
+            
+            select('#nextSlide')?.addEventListener('click', () => { next(); startAuto(); });
+            select('#prevSlide')?.addEventListener('click', () => { current = (current - 1 + slides.length) % slides.length; showSlide(current); startAuto(); });
+            startAuto();
+        };
+        
+        const setupBackToTop = () => {
+            const btn = select('.back-to-top');
+            cleanup.listen(window, 'scroll', throttle(() => {
+                btn.classList.toggle('show', window.scrollY > 500);
+            }, 200));
+            cleanup.listen(btn, 'click', () => scrollModule.scrollTo(0));
+        };
+        
+        const setupReadingProgress = () => {
+            const bar = select('#reading-progress-bar');
+            const body = select('#article-body');
+            if (!bar || !body) return;
+            const updateProgress = () => {
+                const rect = body.getBoundingClientRect();
+                const scrollable = rect.height - window.innerHeight;
+                const progress = Math.min(Math.max(-rect.top / scrollable, 0), 1);
+                bar.style.width = `${progress * 100}%`;
+            };
+            cleanup.listen(window, 'scroll', throttle(updateProgress, 16));
+            updateProgress();
+        };
+
+        return { init, destroy };
+    })();
+    
+    // --- MODULE: ARTICLE PAGES (LISTS & DETAIL) ---
+    const articleModule = (() => {
+        const SITE_NAME = 'Pondok Pesantren Mafatihul Huda Al‑Ihsani';
+        const BADGE_ICONS = {
+            Populer: 'fa-star', Kegiatan: 'fa-book-open', Catatan: 'fa-feather',
+            Tips: 'fa-clock', Puisi: 'fa-microphone-lines', Profil: 'fa-circle-info'
+        };
+        const WORDS_PER_MINUTE = 200;
+        const RELATED_LIMIT = 3;
+        const cleanup = createCleanup();
+        const LIST_FILTERS = {
+            all: () => true,
+            popular: article => article.popular,
+            latest: article => !article.popular
+        };
+
+        // An article without a version in the page language keeps its own language and direction
+        const langAttrs = (article) => (article.lang && article.lang !== i18n.language() ? ` lang="${article.lang}" dir="ltr"` : '');
+
+        const detailUrl = (slug) => `artikel-detail.html?slug=${encodeURIComponent(slug)}`;
+
+        const badge = (name) => `<span class="badge"><i class="fa-solid ${BADGE_ICONS[name] || 'fa-tag'}"></i> ${escapeHtml(t(name))}</span>`;
+
+        const cover = (article, attrs = '') => {
+            const fit = article.coverFit === 'contain' ? ' style="object-fit:contain;background:#f3f6f4"' : '';
+            return `<img src="${escapeHtml(article.cover)}" alt="${escapeHtml(article.coverAlt || '')}"${attrs}${fit}>`;
+        };
+
+        const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+        // Escapes text and wraps every occurrence of the search terms in <mark>
+        const highlight = (text, terms = []) => {
+            if (!terms.length) return escapeHtml(text);
+            const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+            return String(text || '').split(pattern)
+                .map((part, i) => (i % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+                .join('');
+        };
+
+        // A short window of body text around the first hit, for matches outside the excerpt
+        const snippet = (text, terms, radius = 80) => {
+            const lower = text.toLowerCase();
+            const index = Math.min(...terms.map(term => lower.indexOf(term)).filter(i => i >= 0));
+            if (!Number.isFinite(index)) return null;
+            const start = Math.max(0, text.lastIndexOf(' ', index - radius) + 1);
+            const endSpace = text.indexOf(' ', index + radius);
+            const end = endSpace === -1 ? text.length : endSpace;
+            return `${start > 0 ? '… ' : ''}${text.slice(start, end)}${end < text.length ? ' …' : ''}`;
+        };
+
+        const card = (article, { moreLabel = t('Baca Selengkapnya'), terms = [] } = {}) => {
+            const url = escapeHtml(detailUrl(article.slug));
+            const excerptHit = terms.some(term => `${article.title} ${article.excerpt}`.toLowerCase().includes(term));
+            const summary = terms.length && !excerptHit ? snippet(article.text, terms) || article.excerpt : article.excerpt;
+            return `<article class="card reveal soft-tilt" data-tilt${langAttrs(article)}><div class="card-spotlight"></div>`
+                + `<a class="thumb ripple" href="${url}" aria-label="${escapeHtml(t('Baca artikel {title}', { title: article.title }))}">${cover(article, ' class="lazy-img" loading="lazy" decoding="async"')}<span class="thumb-overlay"></span></a>`
+                + `<div class="card-content">${badge(article.badge)}<h3><a href="${url}" class="card-title-link">${highlight(article.title, terms)}</a></h3>`
+                + `<p>${highlight(summary, terms)}</p><a class="more" href="${url}">${escapeHtml(moreLabel)} <i class="fa-solid fa-arrow-right"></i></a></div></article>`;
+        };
+
+        const cardSkeletons = (count) => Array.from({ length: count }, () => `
+            <div class="card card-skeleton" aria-hidden="true">
+              <span class="skeleton skeleton-thumb"></span>
+              <div class="card-content"><span class="skeleton skeleton-line"></span><span class="skeleton skeleton-line"></span></div>
+            </div>`).join('');
+
+        const listState = (message, retry = false) => `
+            <div class="section-state card list-state" role="status">
+              <i class="fa-solid ${retry ? 'fa-triangle-exclamation' : 'fa-folder-open'}"></i>
+              <p>${escapeHtml(message)}</p>
+              ${retry ? `<button type="button" class="btn btn-primary" data-retry><i class="fa-solid fa-rotate-right"></i> ${t('Coba Lagi')}</button>` : ''}
+            </div>`;
+
+        const init = () => {
+            selectAll('[data-article-list]').forEach(list => (list.hasAttribute('data-page-size') ? setupArchive(list) : renderList(list)));
+            if (select('#article-body')) renderDetail();
+        };
+
+        const renderList = async (container) => {
+            const filter = LIST_FILTERS[container.dataset.articleList] || LIST_FILTERS.all;
+            const limit = Number(container.dataset.limit) || Infinity;
+
+            container.setAttribute('aria-busy', 'true');
+            container.innerHTML = cardSkeletons(Math.min(limit, 3));
+            try {
+                const articles = (await articleStore.getAll()).filter(filter).slice(0, limit);
+                if (!container.isConnected) return; // the router moved on to another page meanwhile
+                container.innerHTML = articles.length
+                    ? articles.map(a => card(a, { moreLabel: container.dataset.moreLabel && t(container.dataset.moreLabel) })).join('')
+                    : listState(t('Belum ada artikel untuk ditampilkan.'));
+                uiEffectsModule.attach(container);
+            } catch (err) {
+                container.innerHTML = listState(`${t('Gagal memuat artikel.')} ${err.message}`, true);
+                container.querySelector('[data-retry]').addEventListener('click', () => renderList(container));
+            } finally {
+                container.removeAttribute('aria-busy');
+            }
+        };
+
+        // --- Archive page: search, category chips & pagination, mirrored in the query string ---
+        const readArchiveState = () => {
+            const params = new URLSearchParams(window.location.search);
+            return {
+                query: (params.get('q') || '').trim(),
+                category: (params.get('kategori') || '').toLowerCase(),
+                page: Math.max(1, parseInt(params.get('halaman'), 10) || 1)
+            };
+        };
+
+        const archiveUrl = ({ query, category, page }) => {
+            const url = new URL(window.location.href);
+            ['q', 'kategori', 'halaman'].forEach(key => url.searchParams.delete(key));
+            if (query) url.searchParams.set('q', query);
+            if (category) url.searchParams.set('kategori', category);
+            if (page > 1) url.searchParams.set('halaman', page);
+            return url;
+        };
+
+        const pageNumbers = (current, total) => {
+            const pages = [];
+            for (let i = 1; i <= total; i++) {
+                if (i === 1 || i === total || Math.abs(i - current) <= 1) pages.push(i);
+                else if (pages[pages.length - 1] !== null) pages.push(null); // ellipsis
+            }
+            return pages;
+        };
+
+        const renderPagination = (nav, state, totalPages) => {
+            nav.hidden = totalPages <= 1;
+            const link = (page, label, extra = '') => `<li><a href="${escapeHtml(archiveUrl({ ...state, page }).search || '?')}" class="page-item magnetic${extra}" data-page="${page}">${label}</a></li>`;
+            const items = pageNumbers(state.page, totalPages).map(page => (page === null
+                ? '<li><span class="page-item-ellipsis">...</span></li>'
+                : page === state.page
+                    ? `<li><a href="${escapeHtml(archiveUrl(state).search || '?')}" class="page-item current magnetic" aria-current="page" data-page="${page}">${page}</a></li>`
+                    : link(page, page)));
+            if (state.page > 1) items.unshift(link(state.page - 1, `<i class="fa-solid fa-arrow-left"></i> ${t('Sebelumnya')}`));
+            if (state.page < totalPages) items.push(link(state.page + 1, `${t('Berikutnya')} <i class="fa-solid fa-arrow-right"></i>`));
+            nav.querySelector('ul').innerHTML = items.join('');
+            uiEffectsModule.attach(nav);
+        };
+
+        const setupArchive = async (container) => {
+            const pageSize = Math.max(1, Number(container.dataset.pageSize) || 6);
+            const searchInput = select('#articleSearchInput');
+            const chipsEl = select('#articleFilters');
+            const infoEl = select('#articleResultInfo');
+            const nav = select('#articlePagination');
+            let articles;
+
+            container.setAttribute('aria-busy', 'true');
+            container.innerHTML = cardSkeletons(3);
+            try {
+                articles = await articleStore.getAll();
+                if (!container.isConnected) return; // the router moved on to another page meanwhile
+            } catch (err) {
+                container.innerHTML = listState(`${t('Gagal memuat artikel.')} ${err.message}`, true);
+                container.querySelector('[data-retry]').addEventListener('click', () => setupArchive(container));
+                return;
+            } finally {
+                container.removeAttribute('aria-busy');
+            }
+
+            const categories = [...new Set(articles.map(a => a.badge))];
+            chipsEl.innerHTML = [['', t('Semua'), 'fa-layer-group'], ...categories.map(c => [c.toLowerCase(), t(c), BADGE_ICONS[c] || 'fa-tag'])]
+                .map(([value, label, icon]) => `<button type="button" class="filter-chip" data-category="${escapeHtml(value)}" aria-pressed="false"><i class="fa-solid ${icon}"></i> ${escapeHtml(label)}</button>`)
+                .join('');
+
+            const render = () => {
+                const state = readArchiveState();
+                const terms = state.query.toLowerCase().split(/\s+/).filter(Boolean);
+                const matches = articles.filter(a => (!state.category || a.badge.toLowerCase() === state.category)
+                    && terms.every(term => `${a.title} ${a.excerpt} ${a.text}`.toLowerCase().includes(term)));
+                const totalPages = Math.max(1, Math.ceil(matches.length / pageSize));
+                state.page = Math.min(state.page, totalPages);
+
+                if (document.activeElement !== searchInput) searchInput.value = state.query;
+                chipsEl.querySelectorAll('.filter-chip').forEach(chip => {
+                    const active = chip.dataset.category === state.category;
+                    chip.classList.toggle('active', active);
+                    chip.setAttribute('aria-pressed', String(active));
+                });
+
+                const pageItems = matches.slice((state.page - 1) * pageSize, state.page * pageSize);
+                container.innerHTML = pageItems.length
+                    ? pageItems.map(a => card(a, { terms })).join('')
+                    : listState(t('Tidak ada artikel yang cocok dengan pencarian atau kategori ini.'));
+                infoEl.textContent = state.query || state.category
+                    ? (state.query
+                        ? t('{count} artikel ditemukan untuk "{query}".', { count: matches.length, query: state.query })
+                        : t('{count} artikel ditemukan.', { count: matches.length }))
+                    : '';
+                renderPagination(nav, state, totalPages);
+                uiEffectsModule.attach(container);
+            };
+
+            // history.state is carried over so the page transition router recognises its own page
+            const navigate = (changes, { replace = false } = {}) => {
+                const url = archiveUrl({ ...readArchiveState(), ...changes });
+                history[replace ? 'replaceState' : 'pushState'](history.state, '', url);
+                render();
+            };
+
+            // Typing updates the current entry; chips, pages and submits add history entries
+            searchInput.addEventListener('input', debounce(() => navigate({ query: searchInput.value.trim(), page: 1 }, { replace: true }), 300));
+            searchInput.form?.addEventListener('submit', e => {
+                e.preventDefault();
+                navigate({ query: searchInput.value.trim(), page: 1 });
+            });
+            chipsEl.addEventListener('click', e => {
+                const chip = e.target.closest('.filter-chip');
+                if (chip) navigate({ category: chip.dataset.category, page: 1 });
+            });
+            nav.addEventListener('click', e => {
+                const pageLink = e.target.closest('[data-page]');
+                if (!pageLink) return;
+                e.preventDefault();
+                navigate({ page: Number(pageLink.dataset.page) });
+                const top = container.getBoundingClientRect().top + window.scrollY - 120;
+                window.scrollTo({ top, behavior: config.prefersReducedMotion ? 'auto' : 'smooth' });
+            });
+            cleanup.listen(window, 'popstate', render);
+            render();
+        };
+
+        const renderNotFound = (articleEl) => {
+            document.title = `${t('Artikel Tidak Ditemukan')} - ${t(SITE_NAME)}`;
+            articleEl.innerHTML = `
+                <div class="container article-not-found reveal">
+                  <i class="fa-solid fa-file-circle-question"></i>
+                  <h1>${t('Artikel tidak ditemukan')}</h1>
+                  <p>${t('Artikel yang Anda cari mungkin sudah dipindahkan atau alamatnya keliru.')}</p>
+                  <a href="artikel.html" class="btn btn-primary magnetic"><i class="fa-solid fa-arrow-left"></i> ${t('Lihat Semua Artikel')}</a>
+                </div>`;
+        };
+
+        const readingMinutes = (article) => Math.max(1, Math.round(
+            markdown.toPlainText(article.body).split(/\s+/).filter(Boolean).length / WORDS_PER_MINUTE));
+
+        const shareLinks = (article) => {
+            const url = new URL(detailUrl(article.slug), window.location.href).href;
+            const whatsapp = `https://wa.me/?text=${encodeURIComponent(`${article.title}\n${url}`)}`;
+            return `
+                <div class="article-share" role="group" aria-label="${t('Bagikan artikel')}">
+                  <span class="article-share-label">${t('Bagikan:')}</span>
+                  <a class="share-btn" href="${escapeHtml(whatsapp)}" target="_blank" rel="noopener noreferrer" aria-label="${t('Bagikan lewat WhatsApp')}"><i class="fa-brands fa-whatsapp"></i></a>
+                  <button type="button" class="share-btn" data-share="copy" data-url="${escapeHtml(url)}" aria-label="${t('Salin tautan')}"><i class="fa-solid fa-link"></i></button>
+                  <button type="button" class="share-btn" data-share="native" aria-label="${t('Bagikan lewat aplikasi lain')}" hidden><i class="fa-solid fa-share-nodes"></i></button>
+                  <span class="share-feedback" aria-live="polite"></span>
+                </div>`;
+        };
+
+        // Header and body of an article page; the editor preview renders the same markup without animations
+        const articleHtml = (article, { preview = false } = {}) => {
+            const reveal = preview ? '' : ' reveal';
+            const lang = langAttrs(article);
+            return `
+                <header class="article-header${reveal}"${lang}>
+                  <div class="container">
+                    ${badge(article.badge)}
+                    <h1>${escapeHtml(article.title)}</h1>
+                    <div class="article-meta">
+                      <span>${t('Oleh:')} ${escapeHtml(article.author)}</span> &bull;
+                      <span>${t('Dipublikasikan pada:')} <time datetime="${escapeHtml(article.date)}">${escapeHtml(dateUtils.format(article.date))}</time></span> &bull;
+                      <span><i class="fa-regular fa-clock"></i> ${t('{minutes} menit baca', { minutes: readingMinutes(article) })}</span>
+                    </div>
+                  </div>
+                </header>
+                <div class="article-content container${reveal}"${lang}>
+                  <figure class="article-featured-image${preview ? '' : ' reveal parallax-wrap'}">${cover(article, preview ? '' : ' fetchpriority="high"')}</figure>
+                  ${markdown.render(article.body)}
+                  ${preview ? '' : `
+                  <hr>
+                  <div class="article-actions reveal">
+                    <a href="artikel.html" class="btn btn-secondary magnetic"><i class="fa-solid fa-arrow-left"></i> ${t('Kembali ke Semua Artikel')}</a>
+                    ${shareLinks(article)}
+                  </div>`}
+                </div>`;
+        };
+
+        // Newest articles from the same category, which getAll already lists first
+        const renderRelated = (article, articles) => {
+            const section = select('#articleRelated');
+            const related = articles.filter(a => a.badge === article.badge && a.slug !== article.slug).slice(0, RELATED_LIMIT);
+            if (!section || !related.length) return;
+            section.innerHTML = `
+                <div class="container">
+                  <h2 id="related-title" class="section-title reveal"><i class="fa-solid ${BADGE_ICONS[article.badge] || 'fa-tag'}"></i> ${t('Artikel Terkait')}</h2>
+                  <div class="grid">${related.map(a => card(a)).join('')}</div>
+                </div>`;
+            section.hidden = false;
+            uiEffectsModule.attach(section);
+        };
+
+        const renderDetail = async () => {
+            const articleEl = select('#article-body');
+            const slug = new URLSearchParams(window.location.search).get('slug');
+            let article = null;
+
+            try {
+                article = slug ? await articleStore.getBySlug(slug) : null;
+                if (!articleEl.isConnected) return; // the router moved on to another page meanwhile
+                if (!article) {
+                    renderNotFound(articleEl);
+                } else {
+                    document.title = `${article.title} - ${t(SITE_NAME)}`;
+                    select('meta[name="description"]')?.setAttribute('content', article.excerpt || '');
+                    articleEl.innerHTML = articleHtml(article);
+                    renderRelated(article, await articleStore.getAll());
+                }
+            } catch (err) {
+                articleEl.innerHTML = `<div class="container">${listState(`${t('Gagal memuat artikel.')} ${err.message}`, true)}</div>`;
+                articleEl.querySelector('[data-retry]').addEventListener('click', renderDetail);
+            }
+            articleEl.removeAttribute('aria-busy');
+            uiEffectsModule.attach(articleEl);
+            if (article) readingTools.init(articleEl, article);
+            window.dispatchEvent(new Event('scroll')); // refresh the reading progress bar
+        };
+
+        const destroy = () => {
+            cleanup.run();
+            readingTools.destroy();
+        };
+
+        return { init, destroy, card, badge, detailUrl, articleHtml, badges: Object.keys(BADGE_ICONS) };
+    })();
+
+    // --- MODULE: READING TOOLS (ARTICLE DETAIL) ---
+    // Table of contents with scroll-spy, "lanjutkan membaca" and the share buttons.
+    // Reading positions are kept per slug as a fraction of the article content, so
+    // they survive font and image size changes reasonably well.
+    const readingTools = (() => {
+        const POSITIONS_KEY = 'readingPositions';
+        const MAX_POSITIONS = 50;
+        const MIN_PROGRESS = 0.05; // less than this is not worth resuming
+        const DONE_PROGRESS = 0.9; // past this the article counts as read and is forgotten
+        const TOC_MIN_HEADINGS = 2;
+        const HEADER_OFFSET = 100; // the sticky header covers this much of the viewport
+        const cleanup = createCleanup();
+
+        const loadPositions = () => {
+            try {
+                return JSON.parse(localStorage.getItem(POSITIONS_KEY)) || {};
+            } catch (err) {
+                return {};
+            }
+        };
+
+        // Keeps the most recently read articles only
+        const savePosition = (slug, progress) => {
+            const positions = loadPositions();
+            if (progress === null) delete positions[slug];
+            else positions[slug] = { progress, savedAt: Date.now() };
+            const kept = Object.entries(positions).sort(([, a], [, b]) => b.savedAt - a.savedAt).slice(0, MAX_POSITIONS);
+            try {
+                localStorage.setItem(POSITIONS_KEY, JSON.stringify(Object.fromEntries(kept)));
+            } catch (err) { /* storage full or blocked: resuming is a convenience only */ }
+        };
+
+        const headingId = (text, used) => {
+            const base = text.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+                .replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'bagian';
+            let id = base;
+            for (let n = 2; used.has(id) || document.getElementById(id); n++) id = `${base}-${n}`;
+            used.add(id);
+            return id;
+        };
+
+        const contentProgress = (content) => {
+            const rect = content.getBoundingClientRect();
+            if (!rect.height) return 0;
+            return Math.min(Math.max((HEADER_OFFSET - rect.top) / rect.height, 0), 1);
+        };
+
+        const scrollToProgress = (content, progress) => {
+            const top = content.getBoundingClientRect().top + window.scrollY + progress * content.offsetHeight - HEADER_OFFSET;
+            scrollModule.scrollTo(Math.max(0, top));
+        };
+
+        const setupToc = (content) => {
+            const headings = [...content.querySelectorAll(':scope > h2, :scope > h3')];
+            if (headings.length < TOC_MIN_HEADINGS) return;
+            const used = new Set();
+            headings.forEach(h => { h.id = h.id || headingId(h.textContent, used); });
+
+            const toc = document.createElement('nav');
+            toc.className = 'article-toc';
+            toc.setAttribute('aria-labelledby', 'articleTocTitle');
+            toc.innerHTML = `
+                <p class="article-toc-title" id="articleTocTitle"><i class="fa-solid fa-list-ul"></i> ${t('Daftar Isi')}</p>
+                <ol>${headings.map(h => `<li class="toc-level-${h.tagName.slice(1)}"><a href="#${escapeHtml(h.id)}">${escapeHtml(h.textContent)}</a></li>`).join('')}</ol>`;
+            (content.querySelector('.article-featured-image') || content.firstElementChild).after(toc);
+            const links = [...toc.querySelectorAll('a')];
+
+            toc.addEventListener('click', e => {
+                const link = e.target.closest('a');
+                if (!link) return;
+                e.preventDefault();
+                const target = headings[links.indexOf(link)];
+                scrollModule.scrollTo(target, { offset: -HEADER_OFFSET + 10 });
+                history.replaceState(history.state, '', `#${target.id}`);
+            });
+
+            // The active entry is the last heading that has scrolled under the header
+            const spy = () => {
+                const passed = headings.filter(h => h.getBoundingClientRect().top <= HEADER_OFFSET + 20);
+                const active = passed[passed.length - 1];
+                links.forEach((link, i) => {
+                    const isActive = headings[i] === active;
+                    link.classList.toggle('active', isActive);
+                    if (isActive) link.setAttribute('aria-current', 'location');
+                    else link.removeAttribute('aria-current');
+                });
+                toc.classList.toggle('is-past', content.getBoundingClientRect().bottom < window.innerHeight / 2);
+            };
+            cleanup.add(scrollModule.onScroll(throttle(spy, 100)));
+            spy();
+
+            // Heading ids did not exist when the page loaded, so follow a #fragment now
+            const fromHash = headings.find(h => `#${h.id}` === decodeURIComponent(window.location.hash));
+            if (fromHash) setTimeout(() => scrollModule.scrollTo(fromHash, { offset: -HEADER_OFFSET + 10 }), 200);
+            return Boolean(fromHash);
+        };
+
+        const setupResume = (content, slug) => {
+            const saved = loadPositions()[slug];
+            let prompt = null;
+
+            const dismiss = () => {
+                prompt?.remove();
+                prompt = null;
+            };
+
+            if (saved && saved.progress >= MIN_PROGRESS && saved.progress < DONE_PROGRESS) {
+                prompt = document.createElement('div');
+                prompt.className = 'resume-reading card';
+                prompt.setAttribute('role', 'status');
+                prompt.innerHTML = `
+                    <i class="fa-solid fa-bookmark" aria-hidden="true"></i>
+                    <p>${t('Terakhir kali Anda membaca sampai {percent}% artikel ini.', { percent: Math.round(saved.progress * 100) })}</p>
+                    <button type="button" class="btn btn-primary" data-resume>${t('Lanjutkan membaca')}</button>
+                    <button type="button" class="btn-link" data-resume-dismiss>${t('Mulai dari awal')}</button>`;
+                prompt.addEventListener('click', e => {
+                    if (e.target.closest('[data-resume]')) scrollToProgress(content, saved.progress);
+                    if (e.target.closest('[data-resume], [data-resume-dismiss]')) dismiss();
+                });
+                document.body.appendChild(prompt);
+                cleanup.add(dismiss);
+            }
+
+            const record = () => {
+                const progress = contentProgress(content);
+                if (progress >= DONE_PROGRESS) savePosition(slug, null);
+                else if (progress >= MIN_PROGRESS) savePosition(slug, progress);
+                // Reaching the saved spot by scrolling makes the offer pointless
+                if (prompt && progress >= saved.progress - 0.02) dismiss();
+            };
+            cleanup.add(scrollModule.onScroll(throttle(record, 1000)));
+            cleanup.listen(document, 'visibilitychange', () => {
+                if (document.visibilityState === 'hidden') record();
+            });
+            cleanup.add(record); // leaving through a page transition
+        };
+
+        const setupShare = (articleEl, article) => {
+            const group = articleEl.querySelector('.article-share');
+            if (!group) return;
+            const feedback = group.querySelector('.share-feedback');
+            const url = group.querySelector('[data-share="copy"]').dataset.url;
+            let feedbackTimer;
+
+            const showFeedback = (text) => {
+                feedback.textContent = text;
+                clearTimeout(feedbackTimer);
+                feedbackTimer = setTimeout(() => { feedback.textContent = ''; }, 2500);
+            };
+
+            const nativeBtn = group.querySelector('[data-share="native"]');
+            nativeBtn.hidden = typeof navigator.share !== 'function';
+
+            group.addEventListener('click', async e => {
+                const button = e.target.closest('[data-share]');
+                if (!button) return;
+                if (button.dataset.share === 'native') {
+                    // Closing the share sheet rejects with AbortError, which needs no message
+                    navigator.share({ title: article.title, text: article.excerpt, url }).catch(() => {});
+                    return;
+                }
+                try {
+                    await navigator.clipboard.writeText(url);
+                    showFeedback(t('Tautan disalin.'));
+                } catch (err) {
+                    window.prompt(t('Salin tautan artikel ini:'), url);
+                }
+            });
+        };
+
+        const init = (articleEl, article) => {
+            const content = articleEl.querySelector('.article-content');
+            if (!content) return;
+            const followedHash = setupToc(content);
+            if (!followedHash) setupResume(content, article.slug);
+            setupShare(articleEl, article);
+        };
+
+        return { init, destroy: cleanup.run };
+    })();
+
+    // --- MODULE: ARTICLE EDITOR ---
+    // editor.html, for the Tim Jurnalistik Santri. Articles are written in Markdown
+    // next to a live preview; the draft autosaves per user in localStorage and is
+    // submitted for review as the same .md file (front matter + body) articleStore reads.
+    const editorModule = (() => {
+        const COVER_IMAGES = [
+            'artikel-header.webp', 'asrama.webp', 'hero-1.webp', 'hero-2.webp', 'hero-3.webp', 'kegiatan-kelas.webp',
+            'kegiatan2.webp', 'kiai.webp', 'ndalem.webp', 'thumb-idulfitri.webp', 'PPMHA.webp', 'P3MHA.webp'
+        ].map(name => `bahan/img/${name}`);
+        const DEFAULT_AUTHOR = 'Tim Jurnalistik Santri';
+        const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+        // Toolbar actions: inline formats wrap the selection, block formats prefix each selected line
+        const MD_FORMATS = {
+            // Placeholders are catalog keys, translated when inserted
+            bold: { wrap: ['**', '**'], placeholder: 'teks tebal' },
+            italic: { wrap: ['*', '*'], placeholder: 'teks miring' },
+            link: { wrap: ['[', '](https://)'], placeholder: 'teks tautan' },
+            image: { wrap: ['![', '](bahan/img/)'], placeholder: 'keterangan gambar' },
+            h2: { prefix: () => '## ' },
+            quote: { prefix: () => '> ' },
+            ul: { prefix: () => '- ' },
+            ol: { prefix: i => `${i + 1}. ` }
+        };
+
+        let form;
+        let draft; // { fields, slugEdited, submission: { id, status, submittedAt } | null, savedAt }
+
+        const storageKey = () => `articleDraft:${authClient.getUser()?.id || ''}`;
+
+        const slugify = (text) => text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '-').slice(0, 80).replace(/^-+|-+$/g, '');
+
+        const emptyDraft = () => {
+            const today = dateUtils.toHijri(new Date());
+            return {
+                fields: {
+                    title: '', slug: '', badge: '', author: DEFAULT_AUTHOR,
+                    hijriDay: String(today.day), hijriMonth: String(today.month), hijriYear: String(today.year),
+                    cover: COVER_IMAGES[0], coverAlt: '', coverFit: false, excerpt: '', body: ''
+                },
+                slugEdited: false,
+                submission: null,
+                savedAt: null
+            };
+        };
+
+        const loadDraft = () => {
+            const fresh = emptyDraft();
+            try {
+                const stored = JSON.parse(localStorage.getItem(storageKey()));
+                return stored ? { ...fresh, ...stored, fields: { ...fresh.fields, ...stored.fields } } : fresh;
+            } catch (err) {
+                return fresh;
+            }
+        };
+
+        const persist = () => {
+            draft.fields = readFields();
+            draft.savedAt = new Date().toISOString();
+            try {
+                localStorage.setItem(storageKey(), JSON.stringify(draft));
+                showSavedStatus();
+            } catch (err) {
+                select('#editorStatus').textContent = t('Draf tidak dapat disimpan di perangkat ini.');
+            }
+        };
+        const scheduleSave = debounce(persist, 800);
+
+        const showSavedStatus = () => {
+            select('#editorStatus').textContent = draft.savedAt
+                ? t('Draf tersimpan otomatis pukul {time}.', { time: dateUtils.formatTime(draft.savedAt) })
+                : t('Draf disimpan otomatis di perangkat ini.');
+        };
+
+        const readFields = () => Object.fromEntries(Object.keys(emptyDraft().fields).map(name => {
+            const field = form.elements[name];
+            return [name, field.type === 'checkbox' ? field.checked : field.value];
+        }));
+
+        const writeFields = (fields) => {
+            Object.entries(fields).forEach(([name, value]) => {
+                const field = form.elements[name];
+                if (field.type === 'checkbox') field.checked = !!value;
+                else field.value = value;
+            });
+        };
+
+        // ISO date of the Hijri fields, or '' while they are incomplete
+        const publishDate = ({ hijriDay, hijriMonth, hijriYear }) => {
+            const [day, month, year] = [hijriDay, hijriMonth, hijriYear].map(Number);
+            if (!Number.isInteger(day) || day < 1 || day > 30 || !Number.isInteger(year) || year < 1) return '';
+            const iso = dateUtils.fromHijri(year, month, day);
+            // Day 30 of a 29-day month rolls over into the next month
+            return dateUtils.toHijri(iso).month === month ? iso : '';
+        };
+
+        const toArticle = (fields) => ({
+            title: fields.title.trim(),
+            badge: fields.badge,
+            author: fields.author.trim(),
+            date: publishDate(fields),
+            cover: fields.cover,
+            coverAlt: fields.coverAlt.trim(),
+            coverFit: fields.coverFit ? 'contain' : '',
+            excerpt: fields.excerpt.trim(),
+            body: fields.body
+        });
+
+        const toMarkdown = () => {
+            const { body, ...meta } = toArticle(readFields());
+            return articleStore.stringifyFrontMatter(meta, body);
+        };
+
+        const renderPreview = () => {
+            const article = toArticle(readFields());
+            select('#editorPreview').innerHTML = articleModule.articleHtml({
+                ...article,
+                title: article.title || t('Judul Artikel'),
+                badge: article.badge || 'Kategori',
+                date: article.date || new Date().toISOString().slice(0, 10),
+                body: article.body.trim() || `*${t('Isi artikel akan tampil di sini.')}*`
+            }, { preview: true });
+        };
+        const schedulePreview = debounce(renderPreview, 150);
+
+        const updateDateHint = () => {
+            const iso = publishDate(readFields());
+            select('#articleDateGregorian').textContent = iso ? t('Bertepatan dengan {date}.', { date: dateUtils.format(iso, { mode: 'gregorian', weekday: true }) }) : '';
+        };
+
+        // Submitted or published drafts are read-only until withdrawn
+        const applyState = () => {
+            const { status, submittedAt } = draft.submission || {};
+            const locked = status === 'tinjauan' || status === 'terbit';
+            select('#editorFields').disabled = locked;
+            form.querySelector('[type="submit"]').disabled = locked;
+            select('#editorReview').hidden = !locked;
+            select('#editorWithdrawBtn').hidden = status !== 'tinjauan';
+            select('#editorNewBtn').hidden = status !== 'terbit';
+            select('#editorReviewText').textContent = status === 'terbit'
+                ? t('Naskah ini sudah diterbitkan di Pena Santri.')
+                : t('Naskah sedang ditinjau redaksi sejak {date}. Tarik naskah bila masih ingin mengubahnya.', { date: submittedAt ? dateUtils.format(submittedAt) : '-' });
+        };
+
+        const setMessage = (text, tone = 'error') => {
+            const messageEl = form.querySelector('.form-message');
+            messageEl.textContent = text;
+            messageEl.classList.toggle('is-success', tone === 'success');
+        };
+
+        const handleInput = (e) => {
+            const { name } = e.target;
+            if (name === 'title' && !draft.slugEdited) form.elements.slug.value = slugify(e.target.value);
+            if (name === 'slug') draft.slugEdited = e.target.value !== '';
+            if (name?.startsWith('hijri')) updateDateHint();
+            schedulePreview();
+            scheduleSave();
+        };
+
+        const applyFormat = (textarea, name) => {
+            const format = MD_FORMATS[name];
+            const { selectionStart: start, selectionEnd: end, value } = textarea;
+            if (format.wrap) {
+                const [before, after] = format.wrap;
+                const text = value.slice(start, end) || t(format.placeholder);
+                textarea.setRangeText(before + text + after, start, end);
+                textarea.setSelectionRange(start + before.length, start + before.length + text.length);
+            } else {
+                const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+                const lines = value.slice(lineStart, end).split('\n').map((line, i) => format.prefix(i) + line).join('\n');
+                textarea.setRangeText(lines, lineStart, end);
+                textarea.setSelectionRange(lineStart, lineStart + lines.length);
+            }
+            textarea.focus();
+            textarea.dispatchEvent(new Event('input', { bubbles: true }));
+        };
+
+        const handleSubmit = async (e) => {
+            e.preventDefault();
+            if (!(await formValidator.validate(form))) {
+                setMessage(t('Lengkapi isian yang ditandai sebelum mengirim.'));
+                return;
+            }
+            const submitBtn = form.querySelector('[type="submit"]');
+            const fields = readFields();
+            setMessage(t('Mengirim naskah...'));
+            submitBtn.disabled = true;
+            try {
+                const { id, status, submittedAt } = await apiClient.post('/articles/submissions', {
+                    id: draft.submission?.id,
+                    slug: fields.slug.trim(),
+                    title: fields.title.trim(),
+                    markdown: toMarkdown()
+                });
+                draft.submission = { id, status, submittedAt };
+                persist();
+                setMessage(t('Naskah terkirim. Redaksi akan meninjaunya sebelum terbit.'), 'success');
+            } catch (err) {
+                setMessage(err.message);
+            } finally {
+                applyState();
+            }
+        };
+
+        const handleWithdraw = async () => {
+            const btn = select('#editorWithdrawBtn');
+            btn.disabled = true;
+            try {
+                const { status } = await apiClient.post(`/articles/submissions/${encodeURIComponent(draft.submission.id)}/withdraw`);
+                draft.submission.status = status;
+                persist();
+                applyState();
+                setMessage(t('Naskah ditarik dan dapat diedit kembali.'), 'success');
+                form.elements.title.focus();
+            } catch (err) {
+                setMessage(err.message);
+            } finally {
+                btn.disabled = false;
+            }
+        };
+
+        const startNew = () => {
+            draft = emptyDraft();
+            writeFields(draft.fields);
+            formValidator.reset(form);
+            setMessage('');
+            persist();
+            applyState();
+            renderPreview();
+            updateDateHint();
+            form.elements.title.focus();
+        };
+
+        // The review may have moved on since this draft was last opened
+        const refreshSubmission = async () => {
+            if (!draft.submission) return;
+            try {
+                const latest = (await apiClient.get('/articles/submissions')).find(s => s.id === draft.submission.id);
+                if (latest && latest.status !== draft.submission.status) {
+                    draft.submission.status = latest.status;
+                    persist();
+                    applyState();
+                }
+            } catch (err) {
+                // Offline: keep the state saved with the draft
+            }
+        };
+
+        const setupFields = () => {
+            form.elements.badge.innerHTML = `<option value="">${t('Pilih kategori')}</option>`
+                + articleModule.badges.map(b => `<option value="${escapeHtml(b)}">${escapeHtml(t(b))}</option>`).join('');
+            form.elements.hijriMonth.innerHTML = dateUtils.hijriMonths.map((m, i) => `<option value="${i + 1}">${escapeHtml(t(m))}</option>`).join('');
+            form.elements.cover.innerHTML = COVER_IMAGES.map(src => `<option value="${escapeHtml(src)}">${escapeHtml(src.split('/').pop())}</option>`).join('');
+
+            formValidator.addRule('slug', value => (SLUG_PATTERN.test(value.trim()) ? '' : t('Gunakan huruf kecil, angka dan tanda hubung saja.')));
+            formValidator.addRule('slugAvailable', async value => {
+                const articles = await articleStore.getAll().catch(() => []);
+                return articles.some(a => a.slug === value.trim()) ? t('Alamat ini sudah dipakai artikel lain.') : '';
+            });
+            formValidator.addRule('hijriDate', (value, arg, input) => (publishDate(readFields()) ? '' : t('Tanggal Hijriah tidak valid.')));
+        };
+
+        const init = () => {
+            if (!authModule.canAccess(document.body)) return; // the page guard redirects
+            form = select('#articleEditor');
+            setupFields();
+            draft = loadDraft();
+            writeFields(draft.fields);
+
+            formValidator.attach(form);
+            form.addEventListener('input', handleInput);
+            form.addEventListener('change', handleInput);
+            form.addEventListener('submit', handleSubmit);
+            form.querySelector('.md-toolbar').addEventListener('click', e => {
+                const button = e.target.closest('[data-md]');
+                if (button) applyFormat(form.elements.body, button.dataset.md);
+            });
+            form.elements.body.addEventListener('keydown', e => {
+                const shortcut = { b: 'bold', i: 'italic' }[e.key.toLowerCase()];
+                if (!shortcut || !(e.ctrlKey || e.metaKey)) return;
+                e.preventDefault();
+                applyFormat(e.target, shortcut);
+            });
+            select('#editorDownloadBtn').addEventListener('click', () => {
+                const slug = form.elements.slug.value.trim() || 'artikel';
+                downloadFile(new Blob([toMarkdown()], { type: 'text/markdown;charset=utf-8' }), `${slug}.md`);
+            });
+            select('#editorWithdrawBtn').addEventListener('click', handleWithdraw);
+            select('#editorNewBtn').addEventListener('click', startNew);
+
+            renderPreview();
+            updateDateHint();
+            showSavedStatus();
+            applyState();
+            refreshSubmission();
+        };
+
+        return { init };
+    })();
+
+    // --- MODULE: RAPORT (PDF & PRINT) ---
+    // Builds the raport entirely in the browser: a small PDF writer for the
+    // download, and an HTML copy styled by print.css for printing.
+    const raportModule = (() => {
+        const LETTERHEAD = {
+            name: 'Pondok Pesantren Mafatihul Huda Al-Ihsani',
+            address: 'Jl. Pesantren, Desa Putat Lor, Gondanglegi, Malang, Jawa Timur',
+            contact: 'WhatsApp: +62 823-0110-5096 | Email: info@ppmha.sch.id',
+            logo: 'bahan/img/PPMHA.webp'
+        };
+        const PAGE = { width: 595.28, height: 841.89, margin: 50 }; // A4 in points
+
+        const buildModel = ({ profil, nilai }) => {
+            const average = grading.average(nilai.mapel);
+            return {
+                identity: [
+                    ['Nama Santri', profil.nama],
+                    ['NIS', profil.nis],
+                    ['Kelas', profil.kelas],
+                    ['Kamar', profil.kamar],
+                    ['Tempat, Tanggal Lahir', `${profil.tempatLahir}, ${dateUtils.format(profil.tanggalLahir, { mode: 'gregorian' })}`]
+                ],
+                semester: `Semester ${nilai.semester} Tahun Ajaran ${nilai.tahunAjaran}`,
+                mapel: nilai.mapel.map(m => ({ ...m, nilai: m.nilai ?? '-', predikat: m.predikatSource || '-' })), // not graded yet
+                average: average === null ? '-' : average.toLocaleString('id-ID', { maximumFractionDigits: 1 }),
+                issuedAt: dateUtils.format(new Date(), { mode: 'gregorian' }),
+                issuedAtHijri: dateUtils.format(new Date(), { mode: 'hijri' }),
+                fileName: `Raport-${profil.nis}-Semester-${nilai.semester}.pdf`.replace(/\s+/g, '-')
+            };
+        };
+
+        // --- PDF writer (Type1 Helvetica, WinAnsi text, one JPEG image) ---
+        const toWinAnsi = (text) => String(text ?? '')
+            .replace(/[‐-―]/g, '-')
+            .replace(/[‘’]/g, "'")
+            .replace(/[“”]/g, '"')
+            .replace(/…/g, '...')
+            .replace(/[^\x00-\xFF]/g, '?');
+
+        const pdfString = (text) => `(${toWinAnsi(text).replace(/[\\()]/g, '\\$&')})`;
+
+        let measureCtx;
+        const textWidth = (text, size, bold) => {
+            if (measureCtx === undefined) measureCtx = document.createElement('canvas').getContext('2d') || null;
+            if (!measureCtx) return toWinAnsi(text).length * size * 0.5;
+            measureCtx.font = `${bold ? 'bold ' : ''}${size}px Helvetica, Arial, sans-serif`;
+            return measureCtx.measureText(toWinAnsi(text)).width;
+        };
+
+        const createPdf = () => {
+            const pages = [[]];
+            let image = null;
+            const ops = () => pages[pages.length - 1];
+            const y = (top) => (PAGE.height - top).toFixed(2);
+
+            const text = (value, x, top, { size = 10, bold = false, align = 'left', color = '0 0 0' } = {}) => {
+                const width = textWidth(value, size, bold);
+                const left = align === 'center' ? x - width / 2 : align === 'right' ? x - width : x;
+                ops().push(`BT ${color} rg /${bold ? 'F2' : 'F1'} ${size} Tf ${left.toFixed(2)} ${y(top)} Td ${pdfString(value)} Tj ET`);
+            };
+            const line = (x1, top1, x2, top2, width = 0.5) => ops().push(`${width} w 0 0 0 RG ${x1} ${y(top1)} m ${x2} ${y(top2)} l S`);
+            const rect = (x, top, w, h, fill) => ops().push(`${fill} rg ${x} ${y(top + h)} ${w} ${h} re f`);
+            const drawImage = (jpeg, x, top, w, h) => {
+                image = jpeg;
+                ops().push(`q ${w} 0 0 ${h} ${x} ${y(top + h)} cm /Im1 Do Q`);
+            };
+            const addPage = () => pages.push([]);
+
+            const output = () => {
+                const objects = [];
+                const add = (body) => objects.push(body); // returns the object number
+                add('<< /Type /Catalog /Pages 2 0 R >>');
+                add(''); // page tree, filled in once the page objects are numbered
+                const fontRegular = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+                const fontBold = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+                const imageRef = image && add(`<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.data.length} >>\nstream\n${image.data}\nendstream`);
+                const resources = `<< /Font << /F1 ${fontRegular} 0 R /F2 ${fontBold} 0 R >>${imageRef ? ` /XObject << /Im1 ${imageRef} 0 R >>` : ''} >>`;
+
+                const pageRefs = pages.map(pageOps => {
+                    const content = pageOps.join('\n');
+                    const contentRef = add(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+                    return add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] /Resources ${resources} /Contents ${contentRef} 0 R >>`);
+                });
+                objects[1] = `<< /Type /Pages /Kids [${pageRefs.map(ref => `${ref} 0 R`).join(' ')}] /Count ${pageRefs.length} >>`;
+
+                let out = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+                const offsets = objects.map((body, i) => {
+                    const offset = out.length;
+                    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+                    return offset;
+                });
+                const xref = out.length;
+                out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+                    + offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')
+                    + `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF`;
+                // Every character is a single byte (WinAnsi text, binary JPEG data)
+                return Uint8Array.from(out, ch => ch.charCodeAt(0));
+            };
+
+            return { text, line, rect, image: drawImage, addPage, output };
+        };
+
+        // PDF only embeds JPEG natively, so the WebP logo is re-encoded through a canvas
+        const loadLogo = () => new Promise(resolve => {
+            const img = new Image();
+            img.onload = () => {
+                const canvas = document.createElement('canvas');
+                const scale = Math.min(1, 240 / Math.max(img.naturalWidth, img.naturalHeight));
+                canvas.width = Math.round(img.naturalWidth * scale);
+                canvas.height = Math.round(img.naturalHeight * scale);
+                const ctx = canvas.getContext('2d');
+                ctx.fillStyle = '#fff';
+                ctx.fillRect(0, 0, canvas.width, canvas.height);
+                ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+                resolve({ data: atob(canvas.toDataURL('image/jpeg', 0.92).split(',')[1]), width: canvas.width, height: canvas.height });
+            };
+            img.onerror = () => resolve(null); // the letterhead still works without the logo
+            img.src = LETTERHEAD.logo;
+        });
+
+        const renderPdf = async (model) => {
+            const pdf = createPdf();
+            const { width, margin } = PAGE;
+            const green = '0.04 0.55 0.33';
+            const center = width / 2;
+            let top = margin;
+
+            const logo = await loadLogo();
+            if (logo) pdf.image(logo, margin, top, 60, 60 * logo.height / logo.width);
+            pdf.text(LETTERHEAD.name.toUpperCase(), center, top + 20, { size: 14, bold: true, align: 'center', color: green });
+            pdf.text(LETTERHEAD.address, center, top + 38, { size: 9, align: 'center' });
+            pdf.text(LETTERHEAD.contact, center, top + 52, { size: 9, align: 'center' });
+            top += 72;
+            pdf.line(margin, top, width - margin, top, 2);
+            pdf.line(margin, top + 3, width - margin, top + 3, 0.5);
+
+            top += 32;
+            pdf.text('LAPORAN HASIL BELAJAR SANTRI', center, top, { size: 13, bold: true, align: 'center' });
+            pdf.text(`Sekolah Diniyah - ${model.semester}`, center, top + 16, { size: 10, align: 'center' });
+
+            top += 44;
+            model.identity.forEach(([label, value]) => {
+                pdf.text(label, margin, top);
+                pdf.text(`: ${value}`, margin + 130, top);
+                top += 16;
+            });
+
+            const columns = [
+                { label: 'No', x: margin + 8, width: 30 },
+                { label: 'Mata Pelajaran', x: margin + 38, width: 190 },
+                { label: 'KKM', x: margin + 228, width: 55 },
+                { label: 'Nilai', x: margin + 283, width: 55 },
+                { label: 'Predikat', x: margin + 338, width: 157 }
+            ];
+            const rowHeight = 22;
+            const drawHeader = () => {
+                pdf.rect(margin, top, width - margin * 2, rowHeight, '0.91 0.97 0.94');
+                columns.forEach(col => pdf.text(col.label, col.x, top + 15, { bold: true }));
+                top += rowHeight;
+                pdf.line(margin, top, width - margin, top);
+            };
+
+            top += 14;
+            drawHeader();
+            model.mapel.forEach((m, i) => {
+                if (top + rowHeight > PAGE.height - margin) {
+                    pdf.addPage();
+                    top = margin;
+                    drawHeader();
+                }
+                const belowKkm = Number(m.nilai) < Number(m.kkm);
+                [i + 1, m.nama, m.kkm, m.nilai, m.predikat].forEach((value, c) => {
+                    pdf.text(value, columns[c].x, top + 15, { bold: c === 3, color: c === 3 && belowKkm ? '0.73 0.11 0.11' : '0 0 0' });
+                });
+                top += rowHeight;
+                pdf.line(margin, top, width - margin, top, 0.25);
+            });
+            pdf.text('Rata-rata', columns[1].x, top + 15, { bold: true });
+            pdf.text(model.average, columns[3].x, top + 15, { bold: true });
+            top += rowHeight + 36;
+
+            if (top + 126 > PAGE.height - margin) {
+                pdf.addPage();
+                top = margin;
+            }
+            const signX = width - margin - 150;
+            const place = 'Gondanglegi, ';
+            pdf.text(`${place}${model.issuedAt}`, signX, top);
+            pdf.text(model.issuedAtHijri, signX + textWidth(place, 10), top + 14); // aligned under the Gregorian date
+            pdf.text('Kepala Madrasah Diniyah', signX, top + 32);
+            pdf.text('(.................................)', signX, top + 102);
+            pdf.text(`Dokumen ini dibuat dari Portal Santri pada ${model.issuedAt}.`, margin, PAGE.height - margin + 20, { size: 8, color: '0.4 0.4 0.4' });
+
+            return new Blob([pdf.output()], { type: 'application/pdf' });
+        };
+
+        const download = async (data) => {
+            const model = buildModel(data);
+            downloadFile(await renderPdf(model), model.fileName);
+        };
+
+        const renderHtml = (model) => `
+            <header class="raport-letterhead">
+              <img src="${LETTERHEAD.logo}" alt="Logo PPMHA">
+              <div>
+                <h1>${escapeHtml(LETTERHEAD.name)}</h1>
+                <p>${escapeHtml(LETTERHEAD.address)}</p>
+                <p>${escapeHtml(LETTERHEAD.contact)}</p>
+              </div>
+            </header>
+            <h2 class="raport-title">Laporan Hasil Belajar Santri<small>Sekolah Diniyah - ${escapeHtml(model.semester)}</small></h2>
+            <table class="raport-identity">
+              ${model.identity.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>: ${escapeHtml(value)}</td></tr>`).join('')}
+            </table>
+            <table class="raport-grades">
+              <thead><tr><th>No</th><th>Mata Pelajaran</th><th>KKM</th><th>Nilai</th><th>Predikat</th></tr></thead>
+              <tbody>
+                ${model.mapel.map((m, i) => `<tr${Number(m.nilai) < Number(m.kkm) ? ' class="below-kkm"' : ''}><td>${i + 1}</td><td>${escapeHtml(m.nama)}</td><td>${escapeHtml(m.kkm)}</td><td>${escapeHtml(m.nilai)}</td><td>${escapeHtml(m.predikat)}</td></tr>`).join('')}
+              </tbody>
+              <tfoot><tr><td></td><td>Rata-rata</td><td></td><td>${escapeHtml(model.average)}</td><td></td></tr></tfoot>
+            </table>
+            <div class="raport-signature">
+              <p>Gondanglegi, ${escapeHtml(model.issuedAt)}<br><span class="raport-hijri">${escapeHtml(model.issuedAtHijri)}</span></p>
+              <p>Kepala Madrasah Diniyah</p>
+              <p class="raport-sign-line">(.................................)</p>
+            </div>`;
+
+        const print = (data) => {
+            const container = select('#raportPrint') || document.body.appendChild(Object.assign(document.createElement('div'), { id: 'raportPrint', className: 'raport-print' }));
+            container.innerHTML = renderHtml(buildModel(data));
+            document.body.classList.add('printing-raport');
+            window.addEventListener('afterprint', () => document.body.classList.remove('printing-raport'), { once: true });
+            // Wait for the letterhead logo so it is not missing from the printout
+            const logo = container.querySelector('img');
+            const ready = logo.complete ? Promise.resolve() : new Promise(resolve => { logo.onload = logo.onerror = resolve; });
+            ready.then(() => window.print());
+        };
+
+        return { download, print };
+    })();
+
+    // --- MODULE: DASHBOARD PAGE ---
+    const dashboardModule = (() => {
+        const STATUS_TAGS = {
+            lunas: ['tag-success', 'Lunas'],
+            belum: ['tag-pending', 'Belum Lunas'],
+            menunggu: ['tag-info', 'Menunggu Verifikasi'],
+            Hadir: ['tag-success', 'Hadir'],
+            Izin: ['tag-warning', 'Izin'],
+            Sakit: ['tag-info', 'Sakit'],
+            Alpha: ['tag-danger', 'Alpha'],
+            tinjauan: ['tag-info', 'Menunggu Tinjauan'],
+            ditarik: ['tag-pending', 'Ditarik'],
+            terbit: ['tag-success', 'Terbit'],
+            aktif: ['tag-success', 'Aktif'],
+            belumVerifikasi: ['tag-pending', 'Belum Verifikasi']
+        };
+
+        const tag = (status) => {
+            const [className, label] = STATUS_TAGS[status] || ['tag-pending', status];
+            return `<span class="tag ${className}">${escapeHtml(t(label))}</span>`;
+        };
+
+        const dataCard = (icon, title, body, action = '') => `
+            <div class="data-card card">
+              <div class="card-header"><h3><i class="fa-solid ${icon}"></i> ${escapeHtml(t(title))}</h3>${action}</div>
+              ${body}
+            </div>`;
+
+        // rowAttrs(i) adds attributes to the i-th <tr>, e.g. a key for in-place updates
+        const dataTable = (headings, rows, { className = '', rowAttrs = () => '' } = {}) => `
+            <div class="table-wrapper">
+              <table class="data-table${className ? ` ${className}` : ''}">
+                <thead><tr>${headings.map(h => `<th>${escapeHtml(t(h))}</th>`).join('')}</tr></thead>
+                <tbody>${rows.map((cells, i) => `<tr${rowAttrs(i)}>${cells.map(c => `<td>${c}</td>`).join('')}</tr>`).join('')}</tbody>
+              </table>
+            </div>`;
+
+        // Result of an action inside a card; `text` is already translated, `problems` lists what was skipped
+        const noticeBox = ({ tone = '', text, problems = [] }) => `
+            <div class="billing-note${tone === 'success' ? ' is-success' : ''}" role="status">
+              <i class="fa-solid ${tone === 'success' ? 'fa-circle-check' : 'fa-circle-info'}"></i>
+              <div>${escapeHtml(text)}${problems.length ? `<ul>${problems.map(p => `<li>${escapeHtml(p)}</li>`).join('')}</ul>` : ''}</div>
+            </div>`;
+
+        const skeletonLines = (count) => Array.from({ length: count }, () => '<span class="skeleton skeleton-line"></span>').join('');
+
+        const tableSkeleton = (rows = 4) => `
+            <div class="data-card card" aria-hidden="true">
+              <div class="card-header"><span class="skeleton skeleton-title"></span></div>
+              <div class="table-wrapper skeleton-table">${skeletonLines(rows + 1)}</div>
+            </div>`;
+
+        // Each section knows how to draw its skeleton, decide emptiness and render its data
+        // --- Attendance: calendar and statistics computed from per-day records ---
+        const ATTENDANCE_STATUSES = ['Hadir', 'Izin', 'Sakit', 'Alpha']; // ascending severity, used to colour a day
+        const WEEKDAYS = ['Sen', 'Sel', 'Rab', 'Kam', 'Jum', 'Sab', 'Min'];
+
+        const monthOf = (isoDate) => isoDate.slice(0, 7);
+
+        const shiftMonth = (month, step) => {
+            const [year, monthIndex] = month.split('-').map(Number);
+            const date = new Date(year, monthIndex - 1 + step, 1);
+            return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+        };
+
+        const attendanceCalendar = (month, records) => {
+            const [year, monthIndex] = month.split('-').map(Number);
+            const daysInMonth = new Date(year, monthIndex, 0).getDate();
+            const offset = (new Date(year, monthIndex - 1, 1).getDay() + 6) % 7; // weeks start on Monday
+
+            const days = Array.from({ length: daysInMonth }, (_, i) => {
+                const date = `${month}-${String(i + 1).padStart(2, '0')}`;
+                const entries = records.filter(r => r.tanggal === date);
+                const worst = entries.reduce((acc, r) => Math.max(acc, ATTENDANCE_STATUSES.indexOf(r.status)), -1);
+                const label = `${dateUtils.format(date)}: ${entries.map(r => `${r.kegiatan} ${t(r.status)}`).join(', ') || t('tidak ada catatan')}`;
+                return `
+                    <li class="calendar-day${worst >= 0 ? ` status-${ATTENDANCE_STATUSES[worst].toLowerCase()}` : ''}" title="${escapeHtml(label)}" aria-label="${escapeHtml(label)}">
+                      <span class="calendar-date">${i + 1}</span>
+                      <span class="calendar-dots" aria-hidden="true">${entries.map(r => `<i class="status-${r.status.toLowerCase()}"></i>`).join('')}</span>
+                    </li>`;
+            });
+
+            return `
+                <div class="attendance-calendar">
+                  <div class="calendar-weekdays" aria-hidden="true">${WEEKDAYS.map(d => `<span>${t(d)}</span>`).join('')}</div>
+                  <ol class="calendar-grid">${'<li class="calendar-day is-blank" aria-hidden="true"></li>'.repeat(offset)}${days.join('')}</ol>
+                  <ul class="calendar-legend">${ATTENDANCE_STATUSES.map(s => `<li><i class="status-${s.toLowerCase()}"></i> ${t(s)}</li>`).join('')}</ul>
+                </div>`;
+        };
+
+        const renderAttendance = (records) => {
+            const months = [...new Set(records.map(r => monthOf(r.tanggal)))].sort();
+            const [firstMonth, lastMonth] = [months[0], months[months.length - 1]];
+            // Months without records inside the range stay reachable; anything outside snaps to the latest
+            if (!attendanceView.month || attendanceView.month < firstMonth || attendanceView.month > lastMonth) attendanceView.month = lastMonth;
+            const { month, kegiatan } = attendanceView;
+            const activities = [...new Set(records.map(r => r.kegiatan))].sort();
+            const shown = records
+                .filter(r => monthOf(r.tanggal) === month && (!kegiatan || r.kegiatan === kegiatan))
+                .sort((a, b) => b.tanggal.localeCompare(a.tanggal));
+            const monthLabel = dateUtils.formatMonth(month);
+
+            const stats = ATTENDANCE_STATUSES.map(status => {
+                const count = shown.filter(r => r.status === status).length;
+                const percent = shown.length ? Math.round(count / shown.length * 100) : 0;
+                // The final value is rendered up front so it still shows when counters are disabled
+                return `<div class="stat-item"><span class="stat-value"><span class="num" data-count="${percent}">${percent}</span>%</span><span class="stat-label">${t(status)} (${count}x)</span></div>`;
+            }).join('');
+
+            const toolbar = `
+                <div class="attendance-toolbar card">
+                  <div class="month-nav">
+                    <button type="button" class="month-nav-btn" data-month-step="-1" aria-label="${t('Bulan sebelumnya')}"${month === firstMonth ? ' disabled' : ''}><i class="fa-solid fa-chevron-left"></i></button>
+                    <h3>${escapeHtml(monthLabel)}</h3>
+                    <button type="button" class="month-nav-btn" data-month-step="1" aria-label="${t('Bulan berikutnya')}"${month === lastMonth ? ' disabled' : ''}><i class="fa-solid fa-chevron-right"></i></button>
+                  </div>
+                  <label class="attendance-filter">
+                    <i class="fa-solid fa-filter"></i><span class="sr-only">${t('Kegiatan')}</span>
+                    <select data-kegiatan-filter>
+                      <option value="">${t('Semua Kegiatan')}</option>
+                      ${activities.map(a => `<option value="${escapeHtml(a)}"${a === kegiatan ? ' selected' : ''}>${escapeHtml(a)}</option>`).join('')}
+                    </select>
+                  </label>
+                </div>`;
+
+            return toolbar
+                + dataCard('fa-chart-pie', t('Rekap Kehadiran {month}', { month: monthLabel }), shown.length
+                    ? `<div class="stats-grid">${stats}</div>`
+                    : `<p class="attendance-empty">${t('Tidak ada catatan untuk kegiatan ini pada bulan tersebut.')}</p>`)
+                + dataCard('fa-calendar-days', 'Kalender Kehadiran', attendanceCalendar(month, shown))
+                + (shown.length ? dataCard('fa-clipboard-user', 'Rincian Absensi', dataTable(
+                    ['Tanggal', 'Kegiatan', 'Status'],
+                    shown.map(r => [escapeHtml(dateUtils.format(r.tanggal, { short: true, weekday: true })), escapeHtml(r.kegiatan), tag(r.status)])
+                )) : '');
+        };
+
+        // --- Grade entry: one sheet per kelas and mapel, predikat recomputed as scores are typed ---
+        const gradeText = (s) => gradeView.edits[s.nis] ?? String(s.nilai ?? '');
+
+        // The sheet as currently typed, keeping only valid edits
+        const editedSheet = (sheet) => ({
+            ...sheet,
+            santri: sheet.santri.map(s => (s.nis in gradeView.edits && !gradeService.validateScore(gradeView.edits[s.nis])
+                ? { ...s, nilai: gradeService.parseScore(gradeView.edits[s.nis]) }
+                : s))
+        });
+
+        const gradeSummary = (sheet) => {
+            const scored = sheet.santri.filter(s => s.nilai !== null);
+            const below = scored.filter(s => s.nilai < sheet.kkm).length;
+            const changes = Object.keys(gradeView.edits).length;
+            return escapeHtml(t('{scored} dari {total} santri sudah dinilai · {below} di bawah KKM', { scored: scored.length, total: sheet.santri.length, below }))
+                + (changes ? ` · <strong>${escapeHtml(t('{count} perubahan belum disimpan', { count: changes }))}</strong>` : '');
+        };
+
+        // The score as typed, checked against the sheet's KKM
+        const gradeState = (s, sheet) => {
+            const text = gradeText(s);
+            const error = gradeService.validateScore(text);
+            const score = error ? null : gradeService.parseScore(text);
+            return { text, error, score, belowKkm: score !== null && score < sheet.kkm };
+        };
+
+        const gradePredikat = ({ error, score }, sheet, scale) => (error
+            ? `<span class="grade-error">${escapeHtml(error)}</span>`
+            : escapeHtml(gradeService.predikat(score, sheet.kkm, scale) || '-'));
+
+        const gradeCells = (s, i, sheet, scale) => {
+            const state = gradeState(s, sheet);
+            return [
+                i + 1,
+                escapeHtml(s.nis),
+                escapeHtml(s.nama),
+                `<input type="text" class="grade-input" inputmode="numeric" maxlength="3" autocomplete="off" data-grade-input value="${escapeHtml(state.text)}" aria-label="${escapeHtml(t('Nilai {nama}', { nama: s.nama }))}"${state.error ? ' aria-invalid="true"' : ''}>`,
+                `<span data-grade-predikat>${gradePredikat(state, sheet, scale)}</span>`
+            ];
+        };
+
+        const gradeRowAttrs = (s, sheet) => ` data-nis="${escapeHtml(s.nis)}"${gradeState(s, sheet).belowKkm ? ' class="below-kkm"' : ''}`;
+
+        const renderGradeSheet = ({ classes, scale, sheet }) => {
+            const kelas = classes.find(c => c.kelas === sheet.kelas) || classes[0];
+            const { notice } = gradeView;
+            const toolbar = `
+                <div class="attendance-toolbar grade-toolbar card">
+                  <label class="attendance-filter">
+                    <i class="fa-solid fa-users"></i><span class="sr-only">${t('Kelas')}</span>
+                    <select data-grade-kelas>
+                      ${classes.map(c => `<option value="${escapeHtml(c.kelas)}"${c.kelas === sheet.kelas ? ' selected' : ''}>${escapeHtml(t('Kelas {kelas}', { kelas: c.kelas }))}</option>`).join('')}
+                    </select>
+                  </label>
+                  <label class="attendance-filter">
+                    <i class="fa-solid fa-book"></i><span class="sr-only">${t('Mata pelajaran')}</span>
+                    <select data-grade-mapel>
+                      ${kelas.mapel.map(m => `<option value="${escapeHtml(m.nama)}"${m.nama === sheet.mapel ? ' selected' : ''}>${escapeHtml(m.nama)}</option>`).join('')}
+                    </select>
+                  </label>
+                  <span class="tag tag-info">${escapeHtml(t('KKM {kkm}', { kkm: sheet.kkm }))}</span>
+                </div>`;
+
+            const actions = `
+                <div class="raport-actions">
+                  <button type="button" class="btn btn-secondary" data-grade-export><i class="fa-solid fa-file-csv"></i> ${t('Ekspor CSV')}</button>
+                  <label class="btn btn-secondary"><i class="fa-solid fa-file-import"></i> ${t('Impor CSV')}<input type="file" accept=".csv,text/csv" data-grade-import hidden></label>
+                </div>`;
+
+            const table = `
+                <form class="grade-form" data-grade-form novalidate>
+                  ${dataTable(
+                    ['No', 'NIS', 'Nama', 'Nilai', 'Predikat'],
+                    sheet.santri.map((s, i) => gradeCells(s, i, sheet, scale)),
+                    { className: 'grade-table', rowAttrs: i => gradeRowAttrs(sheet.santri[i], sheet) }
+                  )}
+                  <div class="grade-footer">
+                    <p class="grade-summary" data-grade-summary>${gradeSummary(editedSheet(sheet))}</p>
+                    <button type="submit" class="btn btn-primary" data-grade-save${Object.keys(gradeView.edits).length ? '' : ' disabled'}><i class="fa-solid fa-floppy-disk"></i> ${t('Simpan Nilai')}</button>
+                  </div>
+                  ${notice ? noticeBox(notice) : ''}
+                </form>`;
+
+            return toolbar
+                + dataCard('fa-pen-to-square', t('{mapel} · Semester {semester} {tahun}', { mapel: sheet.mapel, semester: t(sheet.semester), tahun: sheet.tahunAjaran }), table, actions)
+                + renderScale(scale);
+        };
+
+        // Only admin may change the bands; ustadz see the same table read-only
+        const renderScale = (scale) => {
+            const editable = authClient.hasRole(['admin']);
+            const rows = scale.map((b, i) => {
+                const range = b.belowKkm ? t('Di bawah KKM') : t('≥ {min} (dan ≥ KKM)', { min: b.min });
+                if (!editable) return [escapeHtml(b.predikat), escapeHtml(b.keterangan), escapeHtml(range)];
+                return [
+                    `<input type="text" class="grade-input" name="predikat-${i}" value="${escapeHtml(b.predikat)}" maxlength="2" aria-label="${t('Predikat')}">`,
+                    `<input type="text" class="scale-input" name="keterangan-${i}" value="${escapeHtml(b.keterangan)}" maxlength="30" aria-label="${t('Keterangan')}">`,
+                    b.belowKkm
+                        ? escapeHtml(range)
+                        : `≥ <input type="text" class="grade-input" inputmode="numeric" name="min-${i}" value="${escapeHtml(b.min)}" maxlength="3" aria-label="${escapeHtml(t('Batas bawah predikat {predikat}', { predikat: b.predikat }))}"${i === scale.length - 2 ? ' readonly' : ''}>`
+                ];
+            });
+            const table = dataTable(['Predikat', 'Keterangan', 'Rentang Nilai'], rows);
+            return dataCard('fa-ranking-star', 'Skala Predikat', editable
+                ? `<form data-scale-form novalidate>${table}<div class="grade-footer"><p class="form-message" aria-live="polite"></p><button type="submit" class="btn btn-primary"><i class="fa-solid fa-floppy-disk"></i> ${t('Simpan Skala')}</button></div></form>`
+                : table);
+        };
+
+        const sections = {
+            profil: {
+                skeleton: () => `
+                    <div class="profile-card card" aria-hidden="true">
+                      <div class="profile-avatar-wrapper"><span class="skeleton skeleton-avatar"></span></div>
+                      <div class="profile-info">${skeletonLines(4)}</div>
+                    </div>`,
+                isEmpty: data => !data || !data.nis,
+                emptyMessage: 'Data santri belum tersedia untuk akun ini.',
+                render: data => `
+                    <div class="profile-card card">
+                      <div class="profile-avatar-wrapper">
+                        <img src="${escapeHtml(data.foto || 'bahan/img/avatar-santri.webp')}" alt="${escapeHtml(t('Foto {nama}', { nama: data.nama }))}" class="profile-avatar">
+                        <span class="profile-status">${escapeHtml(t(data.status))}</span>
+                      </div>
+                      <div class="profile-info">
+                        <h2 id="santriName">${escapeHtml(data.nama)}</h2>
+                        <p id="santriNis">${t('NIS:')} ${escapeHtml(data.nis)}</p>
+                        <div class="info-grid">
+                          <div><i class="fa-solid fa-layer-group"></i> <strong>${t('Kelas:')}</strong> <span id="santriKelas">${escapeHtml(data.kelas)}</span></div>
+                          <div><i class="fa-solid fa-building-columns"></i> <strong>${t('Kamar:')}</strong> <span id="santriKamar">${escapeHtml(data.kamar)}</span></div>
+                          <div><i class="fa-solid fa-cake-candles"></i> <strong>${t('Lahir:')}</strong> <span id="santriTtl">${escapeHtml(data.tempatLahir)}, ${escapeHtml(dateUtils.format(data.tanggalLahir))}</span></div>
+                          <div><i class="fa-solid fa-map-marker-alt"></i> <strong>${t('Alamat:')}</strong> <span id="santriAlamat">${escapeHtml(data.alamat)}</span></div>
+                        </div>
+                      </div>
+                    </div>`
+            },
+            administrasi: {
+                load: nis => billingService.list(nis),
+                skeleton: () => `
+                    <div class="data-card card" aria-hidden="true">
+                      <div class="card-header"><span class="skeleton skeleton-title"></span></div>
+                      <div class="stats-grid">${Array.from({ length: 3 }, () => '<span class="skeleton skeleton-stat"></span>').join('')}</div>
+                    </div>
+                    ${tableSkeleton()}`,
+                isEmpty: data => !data?.length,
+                emptyMessage: 'Belum ada tagihan SPP untuk santri ini.',
+                render: invoices => {
+                    const { arrears, unpaidCount, awaitingCount, nextDue } = billingService.summarize(invoices);
+                    const isOverdue = nextDue && new Date(`${nextDue.jatuhTempo}T23:59:59`) < new Date();
+                    const stats = [
+                        [formatRupiah(arrears), 'Total Tunggakan'],
+                        [nextDue ? dateUtils.format(nextDue.jatuhTempo) : '-', isOverdue ? 'Jatuh Tempo (Terlewat)' : 'Jatuh Tempo Berikutnya', isOverdue ? 'is-overdue' : ''],
+                        [unpaidCount, 'Bulan Belum Lunas']
+                    ].map(([value, label, modifier = '']) => `<div class="stat-item"><span class="stat-value is-compact ${modifier}">${escapeHtml(value)}</span><span class="stat-label">${t(label)}</span></div>`).join('');
+                    const note = awaitingCount
+                        ? `<p class="billing-note"><i class="fa-solid fa-hourglass-half"></i> ${t('{count} pembayaran sedang menunggu verifikasi bendahara.', { count: awaitingCount })}</p>`
+                        : '';
+
+                    return dataCard('fa-wallet', 'Ringkasan Tagihan', `<div class="stats-grid">${stats}</div>${note}`,
+                        `<button type="button" class="btn btn-secondary" data-billing-export><i class="fa-solid fa-file-csv"></i> ${t('Ekspor CSV')}</button>`)
+                        + dataCard('fa-file-invoice-dollar', 'Riwayat Pembayaran SPP', dataTable(
+                            ['Bulan', 'Jatuh Tempo', 'Jumlah', 'Status', ''],
+                            invoices.map(i => [
+                                escapeHtml(dateUtils.formatMonth(i.periode)),
+                                escapeHtml(dateUtils.format(i.jatuhTempo)),
+                                formatRupiah(i.total),
+                                tag(i.status),
+                                `<button type="button" class="btn-link" data-invoice="${escapeHtml(i.id)}">${t('Rincian')} <i class="fa-solid fa-chevron-right"></i></button>`
+                            ])
+                        ));
+                }
+            },
+            nilai: {
+                load: nis => gradeService.getSantriNilai(nis),
+                skeleton: () => tableSkeleton(5),
+                isEmpty: data => !data?.mapel?.length,
+                emptyMessage: 'Nilai semester ini belum diterbitkan.',
+                render: data => dataCard('fa-book', t('Nilai Diniyah Semester {semester}', { semester: t(data.semester) }), dataTable(
+                    ['Mata Pelajaran', 'KKM', 'Nilai', 'Predikat'],
+                    data.mapel.map(m => [
+                        escapeHtml(m.nama),
+                        escapeHtml(m.kkm),
+                        m.belowKkm ? `<strong class="score-below-kkm">${escapeHtml(m.nilai)}</strong>` : escapeHtml(m.nilai ?? '-'),
+                        escapeHtml(m.predikat || '-')
+                    ])
+                ), `
+                    <div class="raport-actions">
+                      <button type="button" class="btn btn-primary magnetic" data-raport="pdf"><i class="fa-solid fa-download"></i> ${t('Unduh Raport')}</button>
+                      <button type="button" class="btn btn-secondary" data-raport="print"><i class="fa-solid fa-print"></i> ${t('Cetak')}</button>
+                    </div>`)
+            },
+            absensi: {
+                skeleton: () => `
+                    <div class="data-card card" aria-hidden="true">
+                      <div class="card-header"><span class="skeleton skeleton-title"></span></div>
+                      <div class="stats-grid">${Array.from({ length: 4 }, () => '<span class="skeleton skeleton-stat"></span>').join('')}</div>
+                    </div>
+                    ${tableSkeleton()}`,
+                isEmpty: data => !data?.catatan?.length,
+                emptyMessage: 'Belum ada catatan absensi untuk santri ini.',
+                render: data => renderAttendance(data.catatan)
+            },
+            // Staff sections are not tied to the selected santri (perSantri: false)
+            kelas: {
+                perSantri: false,
+                load: () => apiClient.get('/santri'),
+                skeleton: () => tableSkeleton(),
+                isEmpty: list => !list?.length,
+                emptyMessage: 'Belum ada santri di kelas yang Anda ampu.',
+                render: list => {
+                    const byKelas = list.reduce((groups, s) => ({ ...groups, [s.kelas]: [...(groups[s.kelas] || []), s] }), {});
+                    return Object.keys(byKelas).sort().map(kelas => dataCard(
+                        'fa-users', t('Kelas {kelas}', { kelas }),
+                        dataTable(['NIS', 'Nama'], byKelas[kelas].map(s => [escapeHtml(s.nis), escapeHtml(s.nama)])),
+                        `<span class="tag tag-info">${escapeHtml(t('{count} santri', { count: byKelas[kelas].length }))}</span>`
+                    )).join('');
+                }
+            },
+            penilaian: {
+                perSantri: false,
+                // The class list, the scale and the first sheet arrive together so the snapshot works offline
+                load: async () => {
+                    const [classes, scale] = await Promise.all([gradeService.classes(), gradeService.getScale()]);
+                    const kelas = classes.find(c => c.kelas === gradeView.kelas) || classes[0];
+                    if (!kelas) return { classes, scale, sheet: null };
+                    const mapel = kelas.mapel.find(m => m.nama === gradeView.mapel) || kelas.mapel[0];
+                    return { classes, scale, sheet: await gradeService.getSheet(kelas.kelas, mapel.nama) };
+                },
+                skeleton: () => tableSkeleton(6),
+                isEmpty: data => !data?.sheet,
+                emptyMessage: 'Anda belum tercatat mengampu kelas mana pun.',
+                render: renderGradeSheet
+            },
+            pengguna: {
+                perSantri: false,
+                load: () => apiClient.get('/users'),
+                skeleton: () => tableSkeleton(),
+                isEmpty: list => !list?.length,
+                emptyMessage: 'Belum ada akun pengguna.',
+                render: list => dataCard('fa-user-gear', 'Akun Pengguna', dataTable(
+                    ['Nama', 'Email', 'Peran', 'Keterangan', 'Status'],
+                    list.map(u => [
+                        escapeHtml(u.name),
+                        escapeHtml(u.email),
+                        escapeHtml(authModule.roleLabel(u.role)),
+                        escapeHtml(u.role === 'ustadz' ? t('Kelas {kelas}', { kelas: u.kelas.join(', ') || '-' }) : u.role === 'wali' ? t('{count} santri', { count: u.santri }) : '-'),
+                        tag(u.verified ? 'aktif' : 'belumVerifikasi')
+                    ])
+                ))
+            },
+            pengumuman: {
+                perSantri: false,
+                load: () => apiClient.get('/pengumuman'),
+                skeleton: () => tableSkeleton(3),
+                isEmpty: list => !list?.length,
+                emptyMessage: 'Belum ada pengumuman dari pesantren.',
+                render: list => list.map(a => `
+                    <article class="announcement-card card${notificationModule.isRead(notificationModule.announcementId(a)) ? '' : ' is-unread'}">
+                      <header>
+                        <h3>${escapeHtml(a.judul)}</h3>
+                        <div class="announcement-meta">
+                          <time datetime="${escapeHtml(a.tanggal)}">${escapeHtml(dateUtils.format(a.tanggal))}</time>
+                          ${a.penting ? `<span class="tag tag-danger">${t('Penting')}</span>` : ''}
+                          ${notificationModule.isRead(notificationModule.announcementId(a)) ? '' : `<span class="tag tag-info">${t('Baru')}</span>`}
+                        </div>
+                      </header>
+                      ${a.isi.split(/\n{2,}/).map(p => `<p>${escapeHtml(p)}</p>`).join('')}
+                    </article>`).join(''),
+                // Opening the tab counts as reading every announcement in it
+                afterRender: list => notificationModule.markRead(list.map(notificationModule.announcementId))
+            },
+            artikel: {
+                perSantri: false,
+                load: () => apiClient.get('/articles/submissions'),
+                skeleton: () => tableSkeleton(),
+                isEmpty: () => false, // the card always renders so "Tulis Artikel" stays reachable
+                render: list => dataCard('fa-pen-nib', 'Naskah Pena Santri', list.length
+                    ? dataTable(
+                        ['Judul', 'Penulis', 'Dikirim', 'Status'],
+                        [...list].sort((a, b) => b.submittedAt.localeCompare(a.submittedAt)).map(s => [
+                            escapeHtml(s.title),
+                            escapeHtml(s.authorName),
+                            escapeHtml(dateUtils.format(s.submittedAt, { short: true })),
+                            tag(s.status)
+                        ])
+                    )
+                    : `<p class="card-empty">${t('Belum ada naskah yang dikirim untuk ditinjau.')}</p>`,
+                `<a href="editor.html" class="btn btn-primary"><i class="fa-solid fa-pen"></i> ${t('Tulis Artikel')}</a>`)
+            }
+        };
+
+        const sectionElement = (name) => select(`[data-section="${name}"]`);
+        const isAllowed = (name) => authModule.canAccess(sectionElement(name));
+        // Sections for the selected santri that this role may open
+        const santriSections = () => Object.keys(sections).filter(name => sections[name].perSantri !== false && isAllowed(name));
+
+        const sectionState = ({ icon, title, message, retry = false }) => `
+            <div class="section-state card" role="status">
+              <i class="fa-solid ${icon}"></i>
+              <h3>${escapeHtml(title)}</h3>
+              <p>${escapeHtml(message)}</p>
+              ${retry ? `<button type="button" class="btn btn-primary" data-retry><i class="fa-solid fa-rotate-right"></i> ${t('Coba Lagi')}</button>` : ''}
+            </div>`;
+
+        const accessDeniedState = () => sectionState({
+            icon: 'fa-lock',
+            title: t('Tidak memiliki akses'),
+            message: t('Akun Anda tidak memiliki akses ke bagian ini. Hubungi admin pesantren bila Anda memerlukannya.')
+        });
+
+        // Resolved section data for the selected santri; revisiting a tab does not refetch
+        const cache = {};
+        const pending = new Map(); // section name -> NIS being fetched
+        const staleSince = {}; // section name -> savedAt of the offline snapshot on screen
+        let santriList = [];
+        let currentNis = null;
+        let attendanceView = { month: null, kegiatan: '' }; // month defaults to the latest with records
+        const gradeView = { kelas: null, mapel: null, edits: {}, notice: null }; // edits: NIS -> score as typed
+
+        const init = async () => {
+            // authModule's page guard is already redirecting visitors and other roles
+            if (!authModule.canAccess(document.body)) return;
+            setupTabs();
+            setupRetry();
+            setupRaport();
+            setupBilling();
+            setupAttendance();
+            setupGrading();
+            // Replace offline snapshots with live data once the connection is back
+            window.addEventListener('online', () => {
+                Object.keys(staleSince).forEach(name => loadSection(name, { force: true }));
+            });
+            select('#santriSwitcher')?.addEventListener('change', e => selectSantri(e.target.value));
+            activateTabFromHash();
+            if (santriSections().length) await setupSantriSwitcher();
+        };
+
+        const storageKey = () => `selectedSantri:${authClient.getUser()?.id || ''}`;
+
+        const rememberedSantri = () => {
+            try {
+                return localStorage.getItem(storageKey());
+            } catch (err) {
+                return null;
+            }
+        };
+
+        const rememberSantri = (nis) => {
+            try {
+                localStorage.setItem(storageKey(), nis);
+            } catch (err) {
+                // Storage disabled; the ?santri= parameter still keeps the choice on reload
+            }
+        };
+
+        const setupSantriSwitcher = async () => {
+            const wrap = select('#santriSwitcherWrap');
+            const switcher = select('#santriSwitcher');
+            const bodies = santriSections().map(name => select(`[data-section="${name}"] [data-section-body]`));
+            bodies.forEach(body => { body.innerHTML = sections[body.closest('[data-section]').dataset.section].skeleton(); });
+
+            try {
+                santriList = await apiClient.get('/santri');
+                offlineStore.save('santri', santriList);
+            } catch (err) {
+                if (err.status === 401) return;
+                // Offline: fall back to the list saved on the last successful visit
+                const snapshot = err.status === 0 ? offlineStore.load('santri') : null;
+                if (!snapshot) {
+                    bodies.forEach(body => {
+                        body.innerHTML = sectionState({ icon: 'fa-triangle-exclamation', title: t('Gagal memuat data'), message: err.message, retry: true });
+                    });
+                    return;
+                }
+                santriList = snapshot.data;
+            }
+
+            if (!santriList.length) {
+                bodies.forEach(body => {
+                    body.innerHTML = sectionState({ icon: 'fa-user-plus', title: t('Belum ada santri'), message: t('Akun ini belum terhubung dengan data santri. Silakan hubungi admin pesantren.') });
+                });
+                return;
+            }
+
+            switcher.innerHTML = santriList
+                .map(s => `<option value="${escapeHtml(s.nis)}">${escapeHtml(s.nama)} (${escapeHtml(s.kelas)})</option>`)
+                .join('');
+            wrap.hidden = santriList.length < 2;
+
+            // The URL wins so shared links open that child; then the remembered choice
+            const requested = new URLSearchParams(window.location.search).get('santri');
+            const remembered = rememberedSantri();
+            const isKnown = nis => santriList.some(s => s.nis === nis);
+            selectSantri([requested, remembered].find(isKnown) || santriList[0].nis);
+        };
+
+        const selectSantri = (nis) => {
+            if (nis === currentNis) return;
+            currentNis = nis;
+            select('#santriSwitcher').value = nis;
+            rememberSantri(nis);
+
+            const url = new URL(window.location.href);
+            url.searchParams.set('santri', nis);
+            history.replaceState(history.state, '', url);
+
+            // Drop the previous child's data and reload every santri section
+            closeDrawer();
+            santriSections().forEach(name => {
+                delete cache[name];
+                delete staleSince[name];
+                pending.delete(name);
+            });
+            attendanceView = { month: null, kegiatan: '' };
+            santriSections().forEach(name => loadSection(name));
+        };
+
+        const loadSection = async (name, { force = false } = {}) => {
+            const section = sections[name];
+            const body = select(`[data-section="${name}"] [data-section-body]`);
+            if (!section || !body) return;
+            if (!isAllowed(name)) {
+                body.innerHTML = accessDeniedState();
+                return;
+            }
+            const perSantri = section.perSantri !== false;
+            if (perSantri && !currentNis) {
+                if (force) setupSantriSwitcher();
+                return;
+            }
+            const nis = perSantri ? currentNis : null;
+            if ((cache[name] || (pending.has(name) && pending.get(name) === nis)) && !force) return;
+
+            const snapshotKey = perSantri ? `${nis}:${name}` : name;
+            pending.set(name, nis);
+            body.setAttribute('aria-busy', 'true');
+            body.innerHTML = section.skeleton();
+            try {
+                const data = await (section.load ? section.load(nis) : apiClient.get(`/santri/${encodeURIComponent(nis)}/${name}`));
+                if (perSantri && nis !== currentNis) return; // the wali switched child meanwhile
+                cache[name] = data;
+                delete staleSince[name];
+                offlineStore.save(snapshotKey, data);
+                renderSection(name);
+            } catch (err) {
+                if (err.status === 401 || (perSantri && nis !== currentNis)) return; // authModule redirects on 401
+                if (err.status === 403) {
+                    body.innerHTML = accessDeniedState();
+                    return;
+                }
+                const snapshot = err.status === 0 ? offlineStore.load(snapshotKey) : null;
+                if (snapshot) {
+                    cache[name] = snapshot.data;
+                    staleSince[name] = snapshot.savedAt;
+                    renderSection(name);
+                    return;
+                }
+                body.innerHTML = sectionState({ icon: 'fa-triangle-exclamation', title: t('Gagal memuat data'), message: err.message, retry: true });
+            } finally {
+                if (pending.get(name) === nis) {
+                    pending.delete(name);
+                    body.removeAttribute('aria-busy');
+                }
+            }
+        };
+
+        const renderSection = (name) => {
+            const section = sections[name];
+            const body = select(`[data-section="${name}"] [data-section-body]`);
+            const savedAt = staleSince[name];
+            const notice = savedAt
+                ? `<p class="data-freshness" role="status"><i class="fa-solid fa-cloud-arrow-down"></i> ${escapeHtml(t('Anda sedang offline. Data terakhir diperbarui {date} pukul {time}.', { date: dateUtils.format(savedAt), time: dateUtils.formatTime(savedAt) }))}</p>`
+                : '';
+            body.innerHTML = notice + (section.isEmpty(cache[name])
+                ? sectionState({ icon: 'fa-folder-open', title: t('Belum ada data'), message: t(section.emptyMessage) })
+                : section.render(cache[name]));
+            uiEffectsModule.attach(body);
+            if (cache[name]) section.afterRender?.(cache[name]);
+        };
+
+        const setupRetry = () => {
+            select('.dashboard-content-area')?.addEventListener('click', e => {
+                const retryBtn = e.target.closest('[data-retry]');
+                if (!retryBtn) return;
+                loadSection(retryBtn.closest('.dashboard-content').dataset.section, { force: true });
+            });
+        };
+
+        // The raport needs the identity from the Profil tab as well as the grades
+        const setupRaport = () => {
+            select('[data-section="nilai"]')?.addEventListener('click', async e => {
+                const button = e.target.closest('[data-raport]');
+                if (!button || button.disabled) return;
+
+                const label = button.innerHTML;
+                button.disabled = true;
+                button.innerHTML = `<i class="fa-solid fa-spinner fa-spin"></i> ${t('Menyiapkan...')}`;
+                try {
+                    const nis = currentNis;
+                    const [profil, nilai] = await Promise.all([
+                        cache.profil || apiClient.get(`/santri/${encodeURIComponent(nis)}/profil`),
+                        cache.nilai || gradeService.getSantriNilai(nis)
+                    ]);
+                    if (button.dataset.raport === 'pdf') {
+                        await raportModule.download({ profil, nilai });
+                    } else {
+                        raportModule.print({ profil, nilai });
+                    }
+                } catch (err) {
+                    if (err.status !== 401) alert(`${t('Raport gagal dibuat:')} ${err.message}`);
+                } finally {
+                    button.disabled = false;
+                    button.innerHTML = label;
+                }
+            });
+        };
+
+        // --- Billing: invoice drawer, proof upload and CSV export ---
+        let drawerInvoiceId = null;
+
+        const invoiceDetail = (invoice) => {
+            const month = dateUtils.formatMonth(invoice.periode);
+            let footer;
+            if (invoice.status === 'lunas') {
+                footer = `<p class="billing-note is-success"><i class="fa-solid fa-circle-check"></i> ${escapeHtml(t('Dibayar pada {date}.', { date: dateUtils.format(invoice.tanggalBayar) }))}</p>`;
+            } else if (invoice.status === 'menunggu') {
+                footer = `<p class="billing-note"><i class="fa-solid fa-hourglass-half"></i> ${t('Bukti transfer {file} diunggah {date} dan sedang diverifikasi bendahara.', { file: `<strong>${escapeHtml(invoice.bukti?.namaFile || '')}</strong>`, date: escapeHtml(dateUtils.format(invoice.bukti?.diunggahPada || new Date())) })}</p>`;
+            } else {
+                footer = `
+                    <form class="proof-form" data-proof-form="${escapeHtml(invoice.id)}" novalidate>
+                      <h3>${t('Unggah Bukti Transfer')}</h3>
+                      <label for="proofFile">${t('Foto bukti transfer')}</label>
+                      <input type="file" id="proofFile" name="bukti" accept="image/jpeg,image/png,image/webp" required>
+                      <small>${t('Format JPG, PNG atau WebP, maksimal 2 MB.')}</small>
+                      <img class="proof-preview" alt="${t('Pratinjau bukti transfer')}" hidden>
+                      <div class="form-message" role="alert"></div>
+                      <button type="submit" class="btn btn-primary"><i class="fa-solid fa-upload"></i> ${t('Kirim Bukti Transfer')}</button>
+                    </form>`;
+            }
+
+            select('#invoiceDrawerTitle').textContent = t('Tagihan {month}', { month });
+            select('#invoiceDrawerBody').innerHTML = `
+                <p class="drawer-meta">${escapeHtml(t('Jatuh tempo {date}', { date: dateUtils.format(invoice.jatuhTempo) }))} ${tag(invoice.status)}</p>
+                <table class="data-table invoice-breakdown">
+                  <tbody>${invoice.rincian.map(r => `<tr><td>${escapeHtml(r.nama)}</td><td>${formatRupiah(r.jumlah)}</td></tr>`).join('')}</tbody>
+                  <tfoot><tr><th>${t('Total')}</th><th>${formatRupiah(invoice.total)}</th></tr></tfoot>
+                </table>
+                ${footer}`;
+        };
+
+        const openDrawer = (invoiceId) => {
+            const invoice = cache.administrasi?.find(i => i.id === invoiceId);
+            if (!invoice) return;
+            drawerInvoiceId = invoiceId;
+            invoiceDetail(invoice);
+            select('#invoiceDrawer').hidden = false;
+            select('#invoiceDrawerBackdrop').hidden = false;
+            document.body.classList.add('drawer-open');
+            select('#invoiceDrawer [data-drawer-close]').focus();
+        };
+
+        const closeDrawer = () => {
+            const drawer = select('#invoiceDrawer');
+            if (!drawer || drawer.hidden) return;
+            drawer.hidden = true;
+            select('#invoiceDrawerBackdrop').hidden = true;
+            document.body.classList.remove('drawer-open');
+            // Look the trigger up again: the table is re-rendered after an upload
+            select(`[data-invoice="${drawerInvoiceId}"]`)?.focus();
+        };
+
+        const submitProof = async (form) => {
+            const invoiceId = form.dataset.proofForm;
+            const file = form.elements.bukti.files[0];
+            const message = form.querySelector('.form-message');
+            const submit = form.querySelector('[type="submit"]');
+            const error = billingService.validateProof(file);
+            message.textContent = error;
+            if (error) return;
+
+            const nis = currentNis;
+            submit.disabled = true;
+            submit.innerHTML = `<i class="fa-solid fa-spinner fa-spin"></i> ${t('Mengunggah...')}`;
+            try {
+                const updated = await billingService.uploadProof(nis, invoiceId, file);
+                if (nis !== currentNis) return;
+                cache.administrasi = cache.administrasi.map(i => (i.id === updated.id ? updated : i));
+                offlineStore.save(`${nis}:administrasi`, cache.administrasi);
+                renderSection('administrasi');
+                invoiceDetail(updated);
+            } catch (err) {
+                if (err.status === 401) return;
+                message.textContent = err.message;
+                submit.disabled = false;
+                submit.innerHTML = `<i class="fa-solid fa-upload"></i> ${t('Kirim Bukti Transfer')}`;
+            }
+        };
+
+        const setupBilling = () => {
+            const drawer = select('#invoiceDrawer');
+            if (!drawer) return;
+
+            select('[data-section="administrasi"]').addEventListener('click', e => {
+                const invoiceBtn = e.target.closest('[data-invoice]');
+                if (invoiceBtn) openDrawer(invoiceBtn.dataset.invoice);
+                if (e.target.closest('[data-billing-export]') && cache.administrasi) {
+                    const csv = billingService.toCsv(cache.administrasi);
+                    // The BOM makes Excel read the file as UTF-8
+                    downloadFile(new Blob(['\uFEFF', csv], { type: 'text/csv;charset=utf-8' }), `Riwayat-Pembayaran-${currentNis}.csv`);
+                }
+            });
+
+            drawer.addEventListener('click', e => {
+                if (e.target.closest('[data-drawer-close]')) closeDrawer();
+            });
+            select('#invoiceDrawerBackdrop').addEventListener('click', closeDrawer);
+            document.addEventListener('keydown', e => {
+                if (e.key === 'Escape') closeDrawer();
+            });
+
+            drawer.addEventListener('change', e => {
+                if (e.target.name !== 'bukti') return;
+                const form = e.target.form;
+                const file = e.target.files[0];
+                const preview = form.querySelector('.proof-preview');
+                const error = billingService.validateProof(file);
+                form.querySelector('.form-message').textContent = error;
+                if (preview.src) URL.revokeObjectURL(preview.src);
+                preview.hidden = Boolean(error);
+                if (!error) preview.src = URL.createObjectURL(file);
+            });
+            drawer.addEventListener('submit', e => {
+                e.preventDefault();
+                submitProof(e.target);
+            });
+        };
+
+        // Month navigation and the kegiatan filter re-render from cache; focus is put back on the control
+        const setupAttendance = () => {
+            const section = select('[data-section="absensi"]');
+            if (!section) return;
+
+            section.addEventListener('click', e => {
+                const stepBtn = e.target.closest('[data-month-step]');
+                if (!stepBtn || !cache.absensi) return;
+                const step = stepBtn.dataset.monthStep;
+                attendanceView.month = shiftMonth(attendanceView.month, Number(step));
+                renderSection('absensi');
+                const sameBtn = section.querySelector(`[data-month-step="${step}"]`);
+                (sameBtn?.disabled ? section.querySelector('[data-month-step]:not(:disabled)') : sameBtn)?.focus();
+            });
+            section.addEventListener('change', e => {
+                if (!e.target.matches('[data-kegiatan-filter]') || !cache.absensi) return;
+                attendanceView.kegiatan = e.target.value;
+                renderSection('absensi');
+                section.querySelector('[data-kegiatan-filter]')?.focus();
+            });
+        };
+
+        const hasUnsavedGrades = () => Object.keys(gradeView.edits).length > 0;
+
+        const openSheet = async (kelas, mapel) => {
+            const section = select('[data-section="penilaian"]');
+            const body = section.querySelector('[data-section-body]');
+            gradeView.kelas = kelas;
+            gradeView.mapel = mapel;
+            gradeView.edits = {};
+            gradeView.notice = null;
+            body.setAttribute('aria-busy', 'true');
+            try {
+                const sheet = await gradeService.getSheet(kelas, mapel);
+                if (gradeView.kelas !== kelas || gradeView.mapel !== mapel) return; // another sheet was picked meanwhile
+                cache.penilaian = { ...cache.penilaian, sheet };
+                offlineStore.save('penilaian', cache.penilaian);
+            } catch (err) {
+                if (err.status === 401) return;
+                // Keep showing the previous sheet, and keep gradeView pointing at it
+                ({ kelas: gradeView.kelas, mapel: gradeView.mapel } = cache.penilaian.sheet);
+                gradeView.notice = { text: `${t('Nilai {mapel} kelas {kelas} gagal dimuat:', { mapel, kelas })} ${err.message}` };
+            } finally {
+                body.removeAttribute('aria-busy');
+            }
+            renderSection('penilaian');
+            section.querySelector('[data-grade-mapel]')?.focus();
+        };
+
+        // Updates one row in place so typing never loses focus to a re-render
+        const refreshGradeRow = (row) => {
+            const { sheet, scale } = cache.penilaian;
+            const student = sheet.santri.find(s => s.nis === row.dataset.nis);
+            const input = row.querySelector('[data-grade-input]');
+            if (input.value.trim() === String(student.nilai ?? '')) delete gradeView.edits[student.nis];
+            else gradeView.edits[student.nis] = input.value.trim();
+            const state = gradeState(student, sheet);
+            input.toggleAttribute('aria-invalid', Boolean(state.error));
+            row.classList.toggle('below-kkm', state.belowKkm);
+            row.querySelector('[data-grade-predikat]').innerHTML = gradePredikat(state, sheet, scale);
+            const form = row.closest('[data-grade-form]');
+            form.querySelector('[data-grade-summary]').innerHTML = gradeSummary(editedSheet(sheet));
+            form.querySelector('[data-grade-save]').disabled = !hasUnsavedGrades();
+        };
+
+        const saveGrades = async (form) => {
+            const { sheet } = cache.penilaian;
+            const invalid = Object.keys(gradeView.edits).filter(nis => gradeService.validateScore(gradeView.edits[nis]));
+            if (invalid.length) {
+                form.querySelector(`[data-nis="${invalid[0]}"] [data-grade-input]`)?.focus();
+                return;
+            }
+            const entries = Object.entries(gradeView.edits).map(([nis, text]) => ({ nis, nilai: gradeService.parseScore(text) }));
+            const submit = form.querySelector('[data-grade-save]');
+            submit.disabled = true;
+            submit.innerHTML = `<i class="fa-solid fa-spinner fa-spin"></i> ${t('Menyimpan...')}`;
+            try {
+                const saved = await gradeService.saveSheet(sheet.kelas, sheet.mapel, entries);
+                cache.penilaian = { ...cache.penilaian, sheet: saved };
+                offlineStore.save('penilaian', cache.penilaian);
+                gradeView.edits = {};
+                gradeView.notice = { tone: 'success', text: t('{count} nilai {mapel} kelas {kelas} tersimpan.', { count: entries.length, mapel: saved.mapel, kelas: saved.kelas }) };
+            } catch (err) {
+                if (err.status === 401) return;
+                gradeView.notice = { text: `${t('Nilai gagal disimpan:')} ${err.message}` };
+            }
+            renderSection('penilaian');
+        };
+
+        const importGrades = async (file) => {
+            const { sheet } = cache.penilaian;
+            try {
+                const { scores, problems } = gradeService.parseImport(await file.text(), sheet);
+                Object.entries(scores).forEach(([nis, nilai]) => {
+                    const current = sheet.santri.find(s => s.nis === nis).nilai;
+                    if (nilai === current) delete gradeView.edits[nis];
+                    else gradeView.edits[nis] = String(nilai ?? '');
+                });
+                const count = Object.keys(scores).length;
+                gradeView.notice = {
+                    tone: problems.length ? '' : 'success',
+                    text: t('{count} nilai dibaca dari {file}. Periksa lalu tekan "Simpan Nilai".', { count, file: file.name }),
+                    problems
+                };
+            } catch (err) {
+                gradeView.notice = { text: `${t('Berkas tidak dapat dibaca:')} ${err.message}` };
+            }
+            renderSection('penilaian');
+        };
+
+        const saveScale = async (form) => {
+            const message = form.querySelector('.form-message');
+            const skala = cache.penilaian.scale.map((b, i) => ({
+                ...b,
+                predikat: form.elements[`predikat-${i}`].value.trim(),
+                keterangan: form.elements[`keterangan-${i}`].value.trim(),
+                ...(b.belowKkm ? {} : { min: Number(form.elements[`min-${i}`].value.trim()) })
+            }));
+            message.classList.remove('is-success');
+            message.textContent = '';
+            try {
+                cache.penilaian = { ...cache.penilaian, scale: await gradeService.saveScale(skala) };
+                offlineStore.save('penilaian', cache.penilaian);
+                gradeView.notice = { tone: 'success', text: t('Skala predikat diperbarui. Predikat seluruh santri mengikuti skala baru.') };
+                renderSection('penilaian');
+            } catch (err) {
+                if (err.status !== 401) message.textContent = err.message;
+            }
+        };
+
+        // Arrow keys and Enter move between rows like a spreadsheet column
+        const moveGradeFocus = (input, step) => {
+            const inputs = Array.from(input.closest('tbody').querySelectorAll('[data-grade-input]'));
+            const next = inputs[inputs.indexOf(input) + step];
+            if (next) {
+                next.focus();
+                next.select();
+            }
+        };
+
+        const setupGrading = () => {
+            const section = select('[data-section="penilaian"]');
+            if (!section) return;
+
+            section.addEventListener('input', e => {
+                if (e.target.matches('[data-grade-input]')) refreshGradeRow(e.target.closest('tr'));
+            });
+            section.addEventListener('keydown', e => {
+                if (!e.target.matches('[data-grade-input]')) return;
+                if (e.key === 'ArrowDown' || (e.key === 'Enter' && !e.shiftKey)) {
+                    e.preventDefault();
+                    moveGradeFocus(e.target, 1);
+                } else if (e.key === 'ArrowUp' || (e.key === 'Enter' && e.shiftKey)) {
+                    e.preventDefault();
+                    moveGradeFocus(e.target, -1);
+                }
+            });
+            section.addEventListener('change', e => {
+                const { classes, sheet } = cache.penilaian || {};
+                if (e.target.matches('[data-grade-import]')) {
+                    const [file] = e.target.files;
+                    if (file) importGrades(file);
+                    return;
+                }
+                if (!e.target.matches('[data-grade-kelas], [data-grade-mapel]') || !sheet) return;
+                if (hasUnsavedGrades() && !confirm(t('Ada nilai yang belum disimpan. Tetap pindah dan buang perubahan?'))) {
+                    e.target.value = e.target.matches('[data-grade-kelas]') ? sheet.kelas : sheet.mapel;
+                    return;
+                }
+                const kelas = section.querySelector('[data-grade-kelas]').value;
+                const mapel = e.target.matches('[data-grade-kelas]')
+                    ? classes.find(c => c.kelas === kelas).mapel[0].nama
+                    : e.target.value;
+                openSheet(kelas, mapel);
+            });
+            section.addEventListener('click', e => {
+                if (!e.target.closest('[data-grade-export]') || !cache.penilaian?.sheet) return;
+                const sheet = editedSheet(cache.penilaian.sheet);
+                const csv = gradeService.sheetToCsv(sheet, cache.penilaian.scale);
+                downloadFile(new Blob(['\uFEFF', csv], { type: 'text/csv;charset=utf-8' }), `Nilai-${sheet.kelas}-${sheet.mapel}.csv`.replace(/\s+/g, '-'));
+            });
+            section.addEventListener('submit', e => {
+                e.preventDefault();
+                if (e.target.matches('[data-grade-form]')) saveGrades(e.target);
+                if (e.target.matches('[data-scale-form]')) saveScale(e.target);
+            });
+            window.addEventListener('beforeunload', e => {
+                if (!hasUnsavedGrades()) return;
+                e.preventDefault();
+                e.returnValue = '';
+            });
+        };
+
+        const activateTab = (link) => {
+            const target = select(`#${link.dataset.target}`);
+
+            selectAll('.sidebar-link').forEach(l => l.classList.toggle('active', l === link));
+            selectAll('.dashboard-content').forEach(c => c.classList.toggle('active', c === target));
+            select('#dashboard-title').textContent = link.querySelector('span').textContent;
+
+            // Keep the tab in the hash (alongside ?santri=) so reloads and shared links reopen it
+            history.replaceState(history.state, '', link.getAttribute('href'));
+            if (target) loadSection(target.dataset.section);
+        };
+
+        const activateTabFromHash = () => {
+            const links = Array.from(selectAll('.sidebar-link'));
+            const link = links.find(l => l.getAttribute('href') === window.location.hash);
+            if (link) {
+                activateTab(link);
+                return;
+            }
+            // Without a tab in the URL, fall back to the first menu item this role can see
+            const current = links.find(l => l.classList.contains('active'));
+            if (!current || current.closest('[hidden]')) {
+                const first = links.find(l => !l.closest('[hidden]'));
+                if (first) activateTab(first);
+            }
+        };
+
+        const setupTabs = () => {
+            selectAll('.sidebar-link').forEach(link => {
+                link.addEventListener('click', e => {
+                    e.preventDefault();
+                    activateTab(link);
+                    window.scrollTo(0, 0);
+                });
+            });
+        };
+
+        // Opens a tab from outside the sidebar (notifications), switching child first when given
+        const show = (name, nis) => {
+            if (nis && santriList.some(s => s.nis === nis)) selectSantri(nis);
+            const link = select(`.sidebar-link[data-target="${name}-content"]`);
+            if (!link || link.closest('[hidden]')) return;
+            activateTab(link);
+            window.scrollTo(0, 0);
+        };
+
+        return { init, show };
+    })();
+
+    // --- MODULE: NOTIFICATIONS (DASHBOARD HEADER) ---
+    // The bell lists pesantren announcements plus events derived from each
+    // child's dashboard data: unpaid SPP months, Izin/Alpha entries and newly
+    // published raport. Ids are stable so the read state, kept per user in
+    // localStorage, survives polling and sign-out.
+    const notificationModule = (() => {
+        const POLL_INTERVAL = 60 * 1000;
+        const ATTENDANCE_WINDOW_DAYS = 14; // counted back from the child's newest record
+        const MAX_LISTED = 20;
+        const MAX_READ_IDS = 500;
+        const cleanup = createCleanup();
+
+        let items = [];
+
+        const readKey = () => `notificationsRead:${authClient.getUser()?.id || ''}`;
+
+        const readIds = () => {
+            try {
+                return JSON.parse(localStorage.getItem(readKey())) || [];
+            } catch (err) {
+                return [];
+            }
+        };
+
+        const isRead = (id) => readIds().includes(id);
+
+        const markRead = (ids) => {
+            const read = readIds();
+            const fresh = ids.filter(id => !read.includes(id));
+            if (!fresh.length) return;
+            try {
+                localStorage.setItem(readKey(), JSON.stringify([...read, ...fresh].slice(-MAX_READ_IDS)));
+            } catch (err) {
+                // Storage full or disabled; items simply stay unread
+            }
+            render();
+        };
+
+        const announcementId = (announcement) => `pengumuman:${announcement.id}`;
+
+        const fromAnnouncements = (list) => list.map(a => ({
+            id: announcementId(a),
+            icon: a.penting ? 'fa-triangle-exclamation' : 'fa-bullhorn',
+            title: a.judul,
+            text: a.isi.length > 90 ? `${a.isi.slice(0, 90).trim()}…` : a.isi,
+            date: a.tanggal,
+            section: 'pengumuman'
+        }));
+
+        const fromInvoices = (santri, invoices) => invoices
+            .filter(i => i.status === 'belum')
+            .map(i => ({
+                id: `spp:${santri.nis}:${i.id}`,
+                icon: 'fa-file-invoice-dollar',
+                title: t('SPP {month} belum lunas', { month: dateUtils.formatMonth(i.periode) }),
+                text: `${santri.nama} · ${t('jatuh tempo {date}', { date: dateUtils.format(i.jatuhTempo) })}`,
+                date: i.jatuhTempo,
+                section: 'administrasi',
+                nis: santri.nis
+            }));
+
+        const fromAttendance = (santri, { catatan = [] }) => {
+            const newest = catatan.reduce((latest, r) => (r.tanggal > latest ? r.tanggal : latest), '');
+            if (!newest) return [];
+            const since = new Date(`${newest}T00:00:00`);
+            since.setDate(since.getDate() - ATTENDANCE_WINDOW_DAYS);
+            return catatan
+                .filter(r => ['Izin', 'Alpha'].includes(r.status) && new Date(`${r.tanggal}T00:00:00`) >= since)
+                .map(r => ({
+                    id: `absensi:${santri.nis}:${r.tanggal}:${r.kegiatan}`,
+                    icon: r.status === 'Alpha' ? 'fa-user-xmark' : 'fa-clipboard-user',
+                    title: t('{nama} tercatat {status}', { nama: santri.nama, status: t(r.status) }),
+                    text: r.kegiatan,
+                    date: r.tanggal,
+                    section: 'absensi',
+                    nis: santri.nis
+                }));
+        };
+
+        const fromGrades = (santri, nilai) => (nilai.mapel?.some(m => m.nilai !== null && m.nilai !== undefined)
+            ? [{
+                id: `raport:${santri.nis}:${nilai.semester}:${nilai.tahunAjaran}`,
+                icon: 'fa-graduation-cap',
+                title: t('Raport {nama} sudah terbit', { nama: santri.nama }),
+                text: t('Semester {semester} Tahun Ajaran {tahun}', { semester: t(nilai.semester), tahun: nilai.tahunAjaran }),
+                date: nilai.tanggalTerbit || '',
+                section: 'nilai',
+                nis: santri.nis
+            }]
+            : []);
+
+        const fromSantri = async (santri) => {
+            const path = (name) => `/santri/${encodeURIComponent(santri.nis)}/${name}`;
+            const [invoices, absensi, nilai] = await Promise.all([
+                billingService.list(santri.nis),
+                apiClient.get(path('absensi')),
+                apiClient.get(path('nilai'))
+            ]);
+            return [...fromInvoices(santri, invoices), ...fromAttendance(santri, absensi), ...fromGrades(santri, nilai)];
+        };
+
+        // Sources fail independently; a failed source keeps its previous items
+        const collect = async () => {
+            const sources = [['pengumuman', () => apiClient.get('/pengumuman').then(fromAnnouncements)]];
+            let kept = [];
+            if (authClient.hasRole(['wali'])) {
+                const santriList = await apiClient.get('/santri').catch(() => null);
+                // Without the list the per-santri sources are unknown, so all of them keep their items
+                if (santriList) santriList.forEach(santri => sources.push([`santri:${santri.nis}`, () => fromSantri(santri)]));
+                else kept = items.filter(item => item.source.startsWith('santri:'));
+            }
+            const results = await Promise.allSettled(sources.map(([, load]) => load()));
+            return [...sources.flatMap(([key], i) => (results[i].status === 'fulfilled'
+                ? results[i].value.map(item => ({ ...item, source: key }))
+                : items.filter(item => item.source === key))), ...kept];
+        };
+
+        const refresh = async () => {
+            if (!authClient.isAuthenticated()) return;
+            items = (await collect()).sort((a, b) => b.date.localeCompare(a.date));
+            render();
+        };
+
+        const render = () => {
+            const list = select('#notificationList');
+            if (!list) return;
+            const read = readIds();
+            const unread = items.filter(item => !read.includes(item.id)).length;
+            const count = select('#notificationCount');
+            count.hidden = unread === 0;
+            count.textContent = unread > 9 ? '9+' : unread;
+            select('#notificationBell').setAttribute('aria-label', unread ? t('Notifikasi, {count} belum dibaca', { count: unread }) : t('Notifikasi'));
+            select('#notificationReadAll').disabled = unread === 0;
+
+            list.innerHTML = items.length
+                ? items.slice(0, MAX_LISTED).map(item => `
+                    <li>
+                      <button type="button" class="notification-item${read.includes(item.id) ? '' : ' is-unread'}" data-notification="${escapeHtml(item.id)}">
+                        <i class="fa-solid ${item.icon}" aria-hidden="true"></i>
+                        <span class="notification-text">
+                          <strong>${escapeHtml(item.title)}</strong>
+                          <span>${escapeHtml(item.text)}</span>
+                          ${item.date ? `<time datetime="${escapeHtml(item.date)}">${escapeHtml(dateUtils.format(item.date, { short: true }))}</time>` : ''}
+                        </span>
+                      </button>
+                    </li>`).join('')
+                : `<li class="notification-empty">${t('Belum ada notifikasi.')}</li>`;
+        };
+
+        const togglePanel = (open) => {
+            const panel = select('#notificationPanel');
+            const bell = select('#notificationBell');
+            panel.hidden = !open;
+            bell.setAttribute('aria-expanded', String(open));
+        };
+
+        const init = () => {
+            const bell = select('#notificationBell');
+            if (!bell || !authClient.isAuthenticated()) return;
+            const panel = select('#notificationPanel');
+
+            cleanup.listen(bell, 'click', () => togglePanel(panel.hidden));
+            cleanup.listen(document, 'click', e => {
+                if (!panel.hidden && !e.target.closest('.notification-center')) togglePanel(false);
+            });
+            cleanup.listen(document, 'keydown', e => {
+                if (e.key === 'Escape' && !panel.hidden) {
+                    togglePanel(false);
+                    bell.focus();
+                }
+            });
+            cleanup.listen(select('#notificationReadAll'), 'click', () => markRead(items.map(item => item.id)));
+            cleanup.listen(panel, 'click', e => {
+                const button = e.target.closest('[data-notification]');
+                const sectionLink = e.target.closest('[data-notification-section]');
+                if (!button && !sectionLink) return;
+                e.preventDefault();
+                togglePanel(false);
+                if (sectionLink) {
+                    dashboardModule.show(sectionLink.dataset.notificationSection);
+                    return;
+                }
+                const item = items.find(i => i.id === button.dataset.notification);
+                if (!item) return;
+                markRead([item.id]);
+                dashboardModule.show(item.section, item.nis);
+            });
+
+            // Poll only while the tab is visible, and catch up as soon as it is shown again
+            const poll = setInterval(() => {
+                if (!document.hidden) refresh();
+            }, POLL_INTERVAL);
+            cleanup.add(() => clearInterval(poll));
+            cleanup.listen(document, 'visibilitychange', () => {
+                if (!document.hidden) refresh();
+            });
+            cleanup.listen(window, 'online', refresh);
+            // A lapsed session has nothing left to poll for
+            cleanup.listen(document, 'auth:expired', destroy);
+            refresh();
+        };
+
+        const destroy = () => cleanup.run();
+
+        return { init, destroy, refresh, isRead, markRead, announcementId };
+    })();
+
+    // --- MODULE: PAGE TRANSITIONS (PJAX ROUTER) ---
+    // Links between the public pages fetch the next page and swap only its <main>,
+    // so the header, Lenis and the cursor follower survive the navigation. The old
+    // content is torn down through the modules' destroy() and the new content set up
+    // with their init(). Anything unexpected falls back to a normal page load.
+    const routerModule = (() => {
+        const PAGES = ['index.html', 'artikel.html', 'artikel-detail.html'];
+        // Elements outside <main> that only some of the pages have
+        const PAGE_CHROME = ['#reading-progress-bar'];
+        const LEAVE_DURATION = 200;
+        let controller = null;
+        let pageKey = null;
+        let currentFile = null;
+
+        const pageFile = (url) => url.pathname.split('/').pop() || 'index.html';
+        const directory = (url) => url.pathname.replace(/[^/]*$/, '');
+
+        const isRoutable = (url) => url.origin === window.location.origin
+            && directory(url) === directory(window.location) && PAGES.includes(pageFile(url));
+
+        // Entries pushed by the router carry a key; pages may add their own entries under the same key
+        const setPageKey = (key) => {
+            pageKey = key || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+            history.replaceState({ ...history.state, pjax: pageKey }, '');
+        };
+
+        const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+        const fetchPage = async (url, signal) => {
+            // The Accept header makes the service worker treat this like a page visit (network-first)
+            const [res] = await Promise.all([
+                fetch(url.href, { signal, headers: { Accept: 'text/html' } }),
+                wait(config.prefersReducedMotion ? 0 : LEAVE_DURATION)
+            ]);
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            const doc = new DOMParser().parseFromString(await res.text(), 'text/html');
+            // offline.html and pages that did not opt in are opened normally
+            if (!doc.querySelector('main') || doc.querySelector('meta[name="page-transitions"]')?.content !== 'on') {
+                throw new Error('Halaman tidak mendukung transisi.');
+            }
+            i18n.translatePage(doc);
+            return doc;
+        };
+
+        const swap = (doc) => {
+            pageModules.destroy();
+            uiEffectsModule.destroy();
+
+            document.title = doc.title;
+            select('meta[name="description"]')?.setAttribute('content', doc.querySelector('meta[name="description"]')?.content || '');
+            PAGE_CHROME.forEach(selector => {
+                select(selector)?.remove();
+                const incoming = doc.querySelector(selector);
+                if (incoming) document.body.prepend(document.importNode(incoming, true));
+            });
+            const main = document.importNode(doc.querySelector('main'), true);
+            select('main').replaceWith(main);
+            return main;
+        };
+
+        const navigate = async (url, { push = true, scrollY = 0 } = {}) => {
+            controller?.abort();
+            controller = new AbortController();
+            const { signal } = controller;
+
+            if (push) history.replaceState({ ...history.state, scrollY: window.scrollY }, '');
+            document.documentElement.classList.add('page-loading');
+            select('main').classList.add('page-leave');
+
+            let doc;
+            try {
+                doc = await fetchPage(url, signal);
+            } catch (err) {
+                if (signal.aborted) return;
+                // Offline, a server error or an unexpected page: the browser and the service worker take over
+                if (push) window.location.assign(url.href);
+                else window.location.reload();
+                return;
+            }
+            if (signal.aborted) return;
+
+            if (push) history.pushState({}, '', url.href);
+            setPageKey(push ? null : history.state?.pjax);
+            currentFile = pageFile(url);
+            const main = swap(doc);
+
+            if (!(push && scrollModule.scrollToHash())) scrollModule.scrollTo(scrollY, { immediate: true });
+            navigationModule.refresh(doc);
+            uiEffectsModule.attach(main);
+            pageModules.init();
+
+            document.documentElement.classList.remove('page-loading');
+            if (!config.prefersReducedMotion) {
+                main.classList.add('page-enter');
+                main.addEventListener('animationend', () => main.classList.remove('page-enter'), { once: true });
+            }
+            // Screen readers start reading the new page instead of staying on the old link
+            main.setAttribute('tabindex', '-1');
+            main.focus({ preventScroll: true });
+        };
+
+        const handleClick = (e) => {
+            const link = e.target.closest('a[href]');
+            if (!link || e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+            if ((link.target && link.target !== '_self') || link.hasAttribute('download')) return;
+            const url = new URL(link.href, window.location.href);
+            if (!isRoutable(url)) return;
+            // A #fragment on the current page is just scrolling
+            const samePage = pageFile(url) === pageFile(window.location) && url.search === window.location.search;
+            if (samePage && url.hash) return;
+            e.preventDefault();
+            navigate(url);
+        };
+
+        // Entries the current page added itself (archive filters, #fragments) are left to that page
+        const handlePopState = (e) => {
+            const key = e.state?.pjax;
+            if (key ? key === pageKey : pageFile(window.location) === currentFile) return;
+            navigate(new URL(window.location.href), { push: false, scrollY: e.state?.scrollY || 0 });
+        };
+
+        const init = () => {
+            if (!config.pageTransitions || !PAGES.includes(pageFile(window.location)) || typeof DOMParser === 'undefined') return;
+            setPageKey(history.state?.pjax);
+            currentFile = pageFile(window.location);
+            document.addEventListener('click', handleClick);
+            window.addEventListener('popstate', handlePopState);
+        };
+
+        return { init, navigate };
+    })();
+
+    // --- MODULE: OFFLINE SUPPORT (SERVICE WORKER) ---
+    const offlineModule = (() => {
+        const init = () => {
+            // Service workers need http(s); opening the files directly skips them
+            if (!('serviceWorker' in navigator) || !window.location.protocol.startsWith('http')) return;
+            window.addEventListener('load', () => {
+                navigator.serviceWorker.register('sw.js').catch(() => {
+                    // Without a worker the site simply stays online-only
+                });
+            });
+        };
+
         return { init };
     })();
 
     // --- INITIALIZE ALL MODULES ---
-    scrollModule.init();
-    uiEffectsModule.init();
-    navigationModule.init();
-    authModule.init();
-    pageModules.init();
+    offlineModule.init();
+    preferencesModule.init();
+    // Everything that renders text waits for the language catalog
+    i18n.init().then(() => {
+        scrollModule.init();
+        uiEffectsModule.init();
+        navigationModule.init();
+        authModule.init();
+        pageModules.init();
+        routerModule.init();
+    });
 });
\ No newline at end of file
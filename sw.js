@@ -0,0 +1,120 @@
+// Service worker for the PPMHA site. Precaches the pages and assets so the site
+// opens without a connection. Pages are network-first; everything else (articles,
+// fixtures, CDN fonts and icons) is served stale-while-revalidate. Fresh copies of
+// precached files go back into the shell cache, the one caches.match() reads first.
+// Bump VERSION when the precache list changes so old caches are dropped.
+'use strict';
+
+const VERSION = 'v5';
+const SHELL_CACHE = `ppmha-shell-${VERSION}`;
+const RUNTIME_CACHE = `ppmha-runtime-${VERSION}`;
+const OFFLINE_PAGE = 'offline.html';
+
+const PRECACHE = [
+    './',
+    'index.html',
+    'artikel.html',
+    'artikel-detail.html',
+    'login.html',
+    'dashboard.html',
+    'editor.html',
+    OFFLINE_PAGE,
+    'style.css',
+    'print.css',
+    'hijri-calendar.js',
+    'grading.js',
+    'script.js',
+    'mock-backend.js',
+    'manifest.webmanifest',
+    'lang/en.json',
+    'lang/ar.json',
+    'bahan/img/P3MHA.webp',
+    'bahan/img/PPMHA.webp',
+    'bahan/img/artikel-header.webp',
+    'bahan/img/asrama.webp',
+    'bahan/img/avatar-santri.webp',
+    'bahan/img/avatar.webp',
+    'bahan/img/hero-1.webp',
+    'bahan/img/hero-2.webp',
+    'bahan/img/hero-3.webp',
+    'bahan/img/kegiatan-kelas.webp',
+    'bahan/img/kegiatan2.webp',
+    'bahan/img/kiai.webp',
+    'bahan/img/ndalem.webp',
+    'bahan/img/thumb-idulfitri.webp',
+    'bahan/img/icon-192.png',
+    'bahan/img/icon-512.png'
+];
+
+// Third-party hosts every page depends on (Lenis, Google Fonts, Font Awesome)
+const CDN_HOSTS = ['unpkg.com', 'fonts.googleapis.com', 'fonts.gstatic.com', 'cdnjs.cloudflare.com'];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(PRECACHE))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('ppmha-') && key !== SHELL_CACHE && key !== RUNTIME_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The shell cache for precached URLs, the runtime cache for everything else
+const cacheFor = async (request) => {
+    const shell = await caches.open(SHELL_CACHE);
+    return (await shell.match(request)) ? shell : caches.open(RUNTIME_CACHE);
+};
+
+// Fresh page when online; otherwise the cached copy (query strings such as
+// ?slug= are ignored) and finally the offline page
+const networkFirstPage = async (request) => {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const copy = response.clone();
+            cacheFor(request).then(cache => cache.put(request, copy));
+        }
+        return response;
+    } catch (err) {
+        return (await caches.match(request, { ignoreSearch: true })) || caches.match(OFFLINE_PAGE);
+    }
+};
+
+const staleWhileRevalidate = async (event) => {
+    const { request } = event;
+    const cached = await caches.match(request);
+    const network = fetch(request)
+        .then(response => {
+            // Opaque responses come from no-cors CDN requests (fonts, icons)
+            if (response.ok || response.type === 'opaque') {
+                const copy = response.clone();
+                cacheFor(request).then(cache => cache.put(request, copy));
+            }
+            return response;
+        })
+        .catch(() => Response.error());
+    event.waitUntil(network);
+    return cached || network;
+};
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    // API traffic (authenticated or not GET) is never cached here; the dashboard keeps its own snapshots
+    if (request.method !== 'GET' || request.headers.has('Authorization')) return;
+
+    const url = new URL(request.url);
+    // The page transition router fetches pages with Accept: text/html; they stay network-first too
+    if (request.mode === 'navigate' || request.headers.get('Accept') === 'text/html') {
+        event.respondWith(networkFirstPage(request));
+    } else if (url.origin === self.location.origin || CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(event));
+    }
+});
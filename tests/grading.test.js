@@ -0,0 +1,25 @@
+// Run with `node --test tests/`
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { average } = require('../grading.js');
+
+test('the average covers every graded subject', () => {
+    assert.equal(average([{ nilai: 80 }, { nilai: 90 }, { nilai: '76' }]), 82);
+});
+
+test('subjects not graded yet do not pull the average down', () => {
+    // A partly graded santri: two scores, three subjects still empty
+    const mapel = [
+        { nama: 'Fiqih', nilai: 88 },
+        { nama: 'Aqidah Akhlak', nilai: null },
+        { nama: 'Nahwu', nilai: 79 },
+        { nama: 'Shorof', nilai: undefined },
+        { nama: 'Tahfidz', nilai: '' }
+    ];
+    assert.equal(average(mapel), 83.5);
+});
+
+test('a santri without any grade has no average', () => {
+    assert.equal(average([{ nilai: null }, { nilai: null }]), null);
+    assert.equal(average([]), null);
+});
@@ -0,0 +1,62 @@
+// Run with `node --test tests/`
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const hijriCalendar = require('../hijri-calendar.js');
+
+const { toHijri, fromHijri, monthLabel, parseOffset } = hijriCalendar;
+const hijriDay = (value, offset) => {
+    const { year, month, day } = toHijri(value, offset);
+    return [year, month, day];
+};
+
+test('Ramadhan ends after its 30th day and 1 Syawal follows', () => {
+    assert.deepEqual(hijriDay('2025-03-29'), [1446, 9, 29]);
+    assert.deepEqual(hijriDay('2025-03-30'), [1446, 9, 30]);
+    assert.deepEqual(hijriDay('2025-03-31'), [1446, 10, 1]);
+    assert.equal(toHijri('2025-03-31').monthName, 'Syawal');
+    assert.deepEqual(hijriDay('2024-04-09'), [1445, 9, 30]);
+    assert.deepEqual(hijriDay('2024-04-10'), [1445, 10, 1]);
+});
+
+test('a +1 offset (Ramadhan seen as 29 days) moves 1 Syawal a day earlier', () => {
+    assert.deepEqual(hijriDay('2025-03-29', 1), [1446, 9, 30]);
+    assert.deepEqual(hijriDay('2025-03-30', 1), [1446, 10, 1]);
+});
+
+test('Dzulhijjah rolls over into 1 Muharram of the next year', () => {
+    // 1446 is a common year (29-day Dzulhijjah), 1445 a leap year (30 days)
+    assert.deepEqual(hijriDay('2025-06-26'), [1446, 12, 29]);
+    assert.deepEqual(hijriDay('2025-06-27'), [1447, 1, 1]);
+    assert.deepEqual(hijriDay('2024-07-07'), [1445, 12, 30]);
+    assert.deepEqual(hijriDay('2024-07-08'), [1446, 1, 1]);
+    assert.equal(toHijri('2024-07-08').monthName, 'Muharram');
+});
+
+test('monthLabel names both Hijri months a Gregorian month spans', () => {
+    assert.equal(monthLabel('2025-03'), 'Ramadhan – Syawal 1446 H');
+    assert.equal(monthLabel('2025-06'), 'Dzulhijjah 1446 – Muharram 1447 H');
+    assert.equal(monthLabel('2025-03', { translate: (text) => `<${text}>` }), '<Ramadhan> – <Syawal> 1446 <H>');
+});
+
+test('fromHijri(toHijri(d)) returns d for every day of 2020–2030', () => {
+    const mismatches = [];
+    for (let date = new Date(2020, 0, 1); date.getFullYear() <= 2030; date.setDate(date.getDate() + 1)) {
+        const iso = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+        for (const offset of [-1, 0, 1]) {
+            const { year, month, day } = toHijri(iso, offset);
+            if (fromHijri(year, month, day, offset) !== iso) mismatches.push(`${iso} (${offset})`);
+        }
+    }
+    assert.deepEqual(mismatches, []);
+});
+
+test('data-hijri-offset moves the Hijri date by whole days', () => {
+    assert.equal(parseOffset('-1'), -1);
+    assert.equal(parseOffset('1'), 1);
+    assert.equal(parseOffset(undefined), 0);
+    assert.equal(parseOffset(''), 0);
+    assert.equal(parseOffset('abc'), 0);
+    assert.deepEqual(hijriDay('2025-03-31', parseOffset('-1')), [1446, 9, 30]);
+    assert.equal(fromHijri(1446, 10, 1, -1), '2025-04-01');
+    assert.equal(monthLabel('2025-06', { offset: parseOffset('1') }), 'Dzulhijjah 1446 – Muharram 1447 H');
+});